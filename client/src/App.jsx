@@ -1,6 +1,26 @@
 import React, { useEffect, useRef, useState } from "react";
 import { io } from "socket.io-client";
 import "./App.css";
+import {
+  DEFAULT_PAGE_ID, NOTE_COLORS, NOTE_PADDING, SHAPE_TOOLS, TEXT_LINE_HEIGHT, applyOperation, boundsIntersect,
+  createConnector, createId, createNote, createPage, createShape, createStroke, createText, duplicateObjects,
+  findObjectAt, getBoardBounds, getBounds, getPageObjects, getPages, getTextFont, hitTest, invertOperation, pageOf,
+  routeConnector, routeConnectors, scaleObject, stackPages, translateObject,
+} from "../../shared/board.js";
+import {
+  HANDLE_SIZE, LASER_FADE_MS, canDrawIncrementally, drawLaser, drawLatestSegment, drawMarquee, drawObject, drawSelection,
+  getHandles, measureText, renderBoard, setImageLoadListener,
+} from "./renderer";
+import { boardToJsonBlob, boardToPdfBlob, boardToPngBlob, boardToSvg, downloadBlob } from "./exporters";
+import { IMAGE_TYPES, boardFileToObjects, imageFileToObject, isBoardFile, isImageFile } from "./importers";
+import {
+  REMOTE_ORIGIN, applyRemoteUpdate, applyToDoc, createBoardDoc, encodeUpdate, getMissingUpdate, getStateVector,
+  getText, mergeUpdates, readObjects, shiftIndex,
+} from "./sync";
+import { decodePoints, encodePoints, snapCoordinate } from "./transport";
+import {
+  DEFAULT_VIEWPORT, fitBounds, getVisibleArea, panBy, screenToWorld, showArea, worldToScreen, zoomAt,
+} from "./viewport";
 
 const SOCKET_URL =
   window.location.hostname === "localhost" || window.location.hostname === "127.0.0.1"
@@ -17,7 +37,9 @@ const getSocket = () => {
       autoConnect: false, // Don't auto-connect on creation
       transports: ["websocket", "polling"],
       reconnection: true,
-      reconnectionAttempts: 5,
+      // Keep trying for as long as the page is open; changes made in the
+      // meantime wait in a queue (see startDoc)
+      reconnectionAttempts: Infinity,
       reconnectionDelay: 1000,
       timeout: 10000, // Add connection timeout
     });
@@ -38,17 +60,41 @@ const PRESET_COLORS = [
   "#06b6d4", "#3b82f6", "#8b5cf6", "#ec4899",
 ];
 
+// Cursor positions are sent at most this often
+const CURSOR_THROTTLE_MS = 50;
+// Remote cursors fade out after this long without moving
+const CURSOR_IDLE_MS = 4000;
+
+// A presenter's view is shared with the room at most this often
+const VIEWPORT_THROTTLE_MS = 50;
+
+// Laser color until the server has assigned this user theirs
+const DEFAULT_LASER_COLOR = "#ef4444";
+
+// Font choices for text, keyed as in board.js TEXT_FONTS
+const TEXT_FONT_OPTIONS = [
+  { value: "sans", label: "Sans" },
+  { value: "serif", label: "Serif" },
+  { value: "mono", label: "Mono" },
+  { value: "hand", label: "Hand" },
+];
+
 const TOOLS = {
+  SELECT: "select",
   BRUSH: "brush",
   ERASER: "eraser",
   TEXT: "text",
   LINE: "line",
   RECTANGLE: "rectangle",
   CIRCLE: "circle",
-  ARROW: "arrow"
+  ARROW: "arrow",
+  NOTE: "note",
+  CONNECTOR: "connector",
+  LASER: "laser",
 };
 
 const KEYBOARD_SHORTCUTS = {
+  v: TOOLS.SELECT,
   b: TOOLS.BRUSH,
   e: TOOLS.ERASER,
   t: TOOLS.TEXT,
@@ -56,28 +102,156 @@ const KEYBOARD_SHORTCUTS = {
   r: TOOLS.RECTANGLE,
   c: TOOLS.CIRCLE,
   a: TOOLS.ARROW,
+  n: TOOLS.NOTE,
+  k: TOOLS.CONNECTOR,
+  p: TOOLS.LASER,
   z: "undo",
   s: "export",
+  f: "fit",
+  h: "history",
+  delete: "delete",
+  backspace: "delete",
+  escape: "deselect",
+  "mod+d": "duplicate",
+  "mod+z": "undo",
+  "mod+shift+z": "redo",
+  "mod+y": "redo",
+  pageup: "previous-page",
+  pagedown: "next-page",
+};
+
+// Moves and resizes are streamed to the room at most this often
+const TRANSFORM_THROTTLE_MS = 40;
+
+// Zoom step for the zoom buttons
+const ZOOM_STEP = 1.2;
+
+// How many of the user's own changes can be undone
+const MAX_UNDO = 100;
+
+// Changes made while offline are sent in batches of up to this many bytes,
+// to stay well inside the server's limit on update size
+const MAX_QUEUED_UPDATE = 256 * 1024;
+// Catching up after a rejoin is sent in one go if it's no bigger than this,
+// in base64 characters
+const MAX_CATCH_UP = 9e6;
+// Updates longer than this, in base64 characters, go to the server in parts
+// (matching LIMITS.updatePartLength in server/validation.js)
+const UPDATE_PART_LENGTH = 256 * 1024;
+// Owner tokens for rooms created in this browser: { [roomId]: token }
+const OWNER_TOKENS_KEY = "whiteboard-owner-tokens";
+
+const getOwnerTokens = () => {
+  try {
+    return JSON.parse(localStorage.getItem(OWNER_TOKENS_KEY)) || {};
+  } catch {
+    return {};
+  }
+};
+
+const saveOwnerToken = (roomId, token) => {
+  localStorage.setItem(OWNER_TOKENS_KEY, JSON.stringify({ ...getOwnerTokens(), [roomId]: token }));
+};
+
+// Shared links look like ?room=<id>&key=<editor or viewer key>
+const LINK_PARAMS = new URLSearchParams(window.location.search);
+
+const getShareLink = (roomId, key) =>
+  `${window.location.origin}${window.location.pathname}?room=${encodeURIComponent(roomId)}&key=${encodeURIComponent(key)}`;
+
+// REST calls about a room carry the same credentials used to join it
+const fetchRoom = async (roomId, path, { key, password, method = "GET" } = {}) => {
+  const headers = {};
+  const ownerToken = getOwnerTokens()[roomId];
+  if (ownerToken) headers.Authorization = `Bearer ${ownerToken}`;
+  if (password) headers["X-Room-Password"] = password;
+  const query = key ? `?key=${encodeURIComponent(key)}` : "";
+  const res = await fetch(`${SOCKET_URL}/rooms/${encodeURIComponent(roomId)}${path}${query}`, { method, headers });
+  if (!res.ok) throw new Error(`Server responded ${res.status}`);
+  return res.json();
 };
 
+// Keyboard actions that don't change the board, so viewers (and anyone
+// looking through the version history) can still use them
+const VIEW_ACTIONS = ["fit", "export", "history", "previous-page", "next-page"];
+
+// The member presenting to the room, if any. Whoever started last wins.
+const getPresenter = (members) =>
+  members.reduce((latest, member) => (member.presenting && member.presenting > (latest?.presenting || 0) ? member : latest), null);
+
+const getInitials = (name) =>
+  name.split(/\s+/).filter(Boolean).slice(0, 2).map((part) => part[0].toUpperCase()).join("");
+
 // Custom cursor SVG for brush tool - simple pen icon
 const BRUSH_CURSOR = `url("data:image/svg+xml,%3Csvg xmlns='http://www.w3.org/2000/svg' width='20' height='20' viewBox='0 0 24 24'%3E%3Cpath d='M3 17.25V21h3.75L17.81 9.93l-3.75-3.75L3 17.25zM20.71 7.04a.996.996 0 0 0 0-1.41l-2.34-2.34a.996.996 0 0 0-1.41 0l-1.83 1.83 3.75 3.75 1.83-1.83z' fill='%23000'/%3E%3C/svg%3E") 2 20, pointer`;
 
+// In-flight objects from other users are keyed per user and per object, so
+// strokes drawn at the same moment never share a path
+const draftKey = (userId, id) => `${userId}:${id}`;
+
+// Send a base64 document update to the room, in parts if it's too big for
+// one message
+const emitDocUpdate = (socket, roomId, update) => {
+  if (update.length <= UPDATE_PART_LENGTH) {
+    socket.emit("doc-update", { roomId, update });
+    return;
+  }
+  const id = createId();
+  const count = Math.ceil(update.length / UPDATE_PART_LENGTH);
+  for (let index = 0; index < count; index += 1) {
+    const part = update.slice(index * UPDATE_PART_LENGTH, (index + 1) * UPDATE_PART_LENGTH);
+    socket.emit("doc-update-part", { roomId, id, index, count, part });
+  }
+};
+
+// Queued updates merged in order into runs of up to `maxBytes`
+const batchUpdates = (updates, maxBytes) => {
+  const batches = [];
+  let run = [];
+  let size = 0;
+  updates.forEach((update) => {
+    if (run.length > 0 && size + update.length > maxBytes) {
+      batches.push(mergeUpdates(run));
+      run = [];
+      size = 0;
+    }
+    run.push(update);
+    size += update.length;
+  });
+  if (run.length > 0) batches.push(mergeUpdates(run));
+  return batches;
+};
+
 export default function App() {
-  const [roomId, setRoomId] = useState("");
+  const [roomId, setRoomId] = useState(() => LINK_PARAMS.get("room") || "");
+  const [roomKey, setRoomKey] = useState(() => LINK_PARAMS.get("key") || "");
+  const [roomPassword, setRoomPassword] = useState("");
+  // Why the server turned down the last join: { reason, message }
+  const [joinError, setJoinError] = useState(null);
   const [joined, setJoined] = useState(false);
   const [showSplash, setShowSplash] = useState(true);
   const [color, setColor] = useState("#1e293b");
   const [size, setSize] = useState(4);
   const [connectionStatus, setConnectionStatus] = useState("disconnected");
+  // "synced" once the room has been (re)joined, "syncing" while rejoining,
+  // "offline" while the connection is down
+  const [syncStatus, setSyncStatus] = useState("syncing");
+  const [pendingCount, setPendingCount] = useState(0);
   const [showCustomColor, setShowCustomColor] = useState(false);
   const [copied, setCopied] = useState(false);
   const [tool, setTool] = useState(TOOLS.BRUSH);
+  // "pixel" rubs out whatever it passes over, "object" deletes whole objects it touches
+  const [eraserMode, setEraserMode] = useState("pixel");
+  // Brush style for new strokes (see BRUSHES in board.js)
+  const [brushStyle, setBrushStyle] = useState("pen");
   const [canUndo, setCanUndo] = useState(false);
-  const [textInput, setTextInput] = useState("");
-  const [textPosition, setTextPosition] = useState({ x: 0, y: 0 });
-  const [isPlacingText, setIsPlacingText] = useState(false);
-  const [showTextMarker, setShowTextMarker] = useState(false);
+  const [canRedo, setCanRedo] = useState(false);
+  // Font, weight, slant and alignment for new text
+  const [textStyle, setTextStyle] = useState({ fontFamily: "sans", bold: false, italic: false, align: "left" });
+  // Background for new sticky notes
+  const [noteFill, setNoteFill] = useState(NOTE_COLORS[0]);
+  // The text object or note being edited in place, as last typed
+  const [editingText, setEditingText] = useState(null);
   
   // New UI state
   const [darkMode, setDarkMode] = useState(() => {
@@ -88,13 +262,124 @@ export default function App() {
   const [showTooltip, setShowTooltip] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
   const [showFab, setShowFab] = useState(false);
+  const [userName, setUserName] = useState(() => localStorage.getItem("whiteboard-name") || "");
+  // Room roster from the server: [{ id, name, color, joinedAt }]
+  const [members, setMembers] = useState([]);
+  const [selfId, setSelfId] = useState(null);
+  // "owner", "editor" or "viewer"; viewers can look but not change anything
+  const [role, setRole] = useState("editor");
+  // Links and settings of a room this user owns: { private, hasPassword, editorKey, viewerKey }
+  const [roomAccess, setRoomAccess] = useState(null);
+  const [newPassword, setNewPassword] = useState("");
+  const [copiedLink, setCopiedLink] = useState(null);
+  const [isCreatingRoom, setIsCreatingRoom] = useState(false);
+  // Other participants' cursors: userId -> { x, y, name, color, lastSeen, idle }
+  const [cursors, setCursors] = useState({});
+  // This user's view onto the infinite board (see viewport.js)
+  const [viewport, setViewport] = useState(DEFAULT_VIEWPORT);
+  const [spaceHeld, setSpaceHeld] = useState(false);
+  const [isPanning, setIsPanning] = useState(false);
+  // Ids of the objects picked with the select tool
+  const [selectedIds, setSelectedIds] = useState([]);
+  // The board's pages (see getPages) and the one this user is looking at
+  const [pages, setPages] = useState(() => getPages([]));
+  const [pageId, setPageId] = useState(DEFAULT_PAGE_ID);
+  const [showPages, setShowPages] = useState(true);
+  const [renamingPageId, setRenamingPageId] = useState(null);
+  // The participant this user follows from page to page, if any
+  const [followingId, setFollowingId] = useState(null);
+  // Whether this user is presenting, so others follow their view
+  const [presenting, setPresenting] = useState(false);
+  const [showExport, setShowExport] = useState(false);
+  const [exportOptions, setExportOptions] = useState({ format: "png", area: "board", scale: 2, background: "#ffffff", transparent: false });
+  const [isExporting, setIsExporting] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  const [revisions, setRevisions] = useState([]);
+  const [revisionIndex, setRevisionIndex] = useState(0);
+  const [isLoadingHistory, setIsLoadingHistory] = useState(false);
+  const [isForking, setIsForking] = useState(false);
+  const [forkLink, setForkLink] = useState(null);
 
   const canvasRef = useRef(null);
   const ctxRef = useRef(null);
-  const historyRef = useRef([]);
+  const importInputRef = useRef(null);
+  // The board document: every object on the board
+  const objectsRef = useRef([]);
+  // This user's own changes, as { op, inverse } pairs. Undo only ever
+  // reverts these, so other people's work is left alone.
+  const undoStackRef = useRef([]);
+  const redoStackRef = useRef([]);
   const isDrawingRef = useRef(false);
-  const startPosRef = useRef({ x: 0, y: 0 });
-  const tempCanvasRef = useRef(null);
+  // Object currently being drawn locally, not yet part of the document
+  const draftRef = useRef(null);
+  // Screen position, time and pressure of the last stroke sample, for
+  // pressure from speed on devices that don't report it
+  const strokeMotionRef = useRef(null);
+  // Points of the stroke being drawn that haven't gone out yet:
+  // { id, sent: last point sent, points }
+  const strokeOutboxRef = useRef(null);
+  const strokeFrameRef = useRef(null);
+  // Strokes and shapes other users are still drawing:
+  // draftKey(userId, id) -> { userId, object }
+  const remoteDraftsRef = useRef(new Map());
+  const lastCursorEmitRef = useRef(0);
+  // Mirrors `viewport` for event handlers
+  const viewportRef = useRef(DEFAULT_VIEWPORT);
+  const spaceHeldRef = useRef(false);
+  // Active pan gesture: { pointerId, x, y } in screen pixels
+  const panRef = useRef(null);
+  // Touch points on the canvas (pointerId -> screen point) and the pinch
+  // gesture they form when there are two of them
+  const touchPointsRef = useRef(new Map());
+  const pinchRef = useRef(null);
+  // Whether this user joined as a viewer, for event handlers
+  const readOnlyRef = useRef(false);
+  // Mirrors `selectedIds` for event handlers
+  const selectedIdsRef = useRef([]);
+  const pageRef = useRef(DEFAULT_PAGE_ID);
+  const pagesKeyRef = useRef("");
+  // Where this user left each page's viewport, to return to it
+  const pageViewportsRef = useRef(new Map());
+  const followingRef = useRef(null);
+  // Last pointer position in world coordinates, for announcing page changes
+  const lastPointerRef = useRef({ x: 0, y: 0 });
+  const presentingRef = useRef(false);
+  const presenterRef = useRef(null);
+  const viewportTimerRef = useRef(null);
+  // Laser trails by user id: { color, page, points } (see drawLaser)
+  const lasersRef = useRef(new Map());
+  const laserFrameRef = useRef(null);
+  const laserActiveRef = useRef(false);
+  const selfColorRef = useRef(DEFAULT_LASER_COLOR);
+  // Active select-tool gesture: moving, resizing or drawing a marquee
+  const selectGestureRef = useRef(null);
+  // Active object-eraser gesture: { ids, before, last }. The objects in `ids`
+  // are hidden until the pointer lifts and the removal is committed.
+  const eraseGestureRef = useRef(null);
+  // Text being edited in place: { object, before, isNew, shared, changed,
+  // text, unbind }. `changed` holds the fields this user has changed, and
+  // `text` the Y.Text followed for what others type (see bindTextEdit).
+  const textEditRef = useRef(null);
+  const textareaRef = useRef(null);
+  // Objects of the past revision shown while the version history is open.
+  // The live board keeps updating underneath but can't be edited.
+  const previewRef = useRef(null);
+  const previewIdRef = useRef(null);
+  // Revisions already fetched, by id
+  const revisionCacheRef = useRef(new Map());
+  // The room's shared document (see sync.js), which every board change goes
+  // through, and its generation once the room has said which it is. Deleting
+  // the board starts a new generation.
+  const docRef = useRef(null);
+  const docGenerationRef = useRef(null);
+  // Whether this connection has joined the room. Document updates made before
+  // then (or while offline) are queued and sent once it has.
+  const roomReadyRef = useRef(false);
+  const pendingUpdatesRef = useRef([]);
+  // A move or resize in progress that's shown here but not yet shared
+  const unsentOpRef = useRef(null);
+  const joinPayloadRef = useRef(null);
+  const rejoiningRef = useRef(false);
 
   // Set up socket connection handlers when component mounts
   useEffect(() => {
@@ -150,14 +435,19 @@ export default function App() {
     localStorage.setItem("whiteboard-dark-mode", JSON.stringify(darkMode));
   }, [darkMode]);
 
-  // Clear text marker when switching away from text tool
+  // Focus the text editor once it opens, with the caret at the end. This
+  // waits a frame so the click that opened it can't take the focus back.
+  const editingTextId = editingText?.id;
   useEffect(() => {
-    if (tool !== TOOLS.TEXT && showTextMarker) {
-      setShowTextMarker(false);
-      setIsPlacingText(false);
-      setTextInput("");
-    }
-  }, [tool]);
+    if (!editingTextId) return;
+    const frame = requestAnimationFrame(() => {
+      const textarea = textareaRef.current;
+      if (!textarea) return;
+      textarea.focus();
+      textarea.setSelectionRange(textarea.value.length, textarea.value.length);
+    });
+    return () => cancelAnimationFrame(frame);
+  }, [editingTextId]);
 
   // Splash screen timer - hide after 2 seconds
   useEffect(() => {
@@ -167,51 +457,756 @@ export default function App() {
     return () => clearTimeout(timer);
   }, []);
 
-  const saveCanvas = () => {
+  // Re-render the canvas from the document plus the object being drawn
+  const redraw = () => {
+    const ctx = ctxRef.current;
+    if (!ctx) return;
+    if (previewRef.current) {
+      renderBoard(ctx, getPageObjects(previewRef.current, pageRef.current), {
+        viewport: viewportRef.current,
+        pixelRatio: window.devicePixelRatio || 1,
+      });
+      return;
+    }
+    // Objects being erased are hidden, as is the text being edited (the
+    // editor shows it instead)
+    const erasing = eraseGestureRef.current?.ids;
+    const editingId = textEditRef.current?.object.id;
+    const pageObjects = getCurrentPageObjects();
+    const objects = erasing?.size || editingId
+      ? pageObjects.filter((obj) => obj.id !== editingId && !erasing?.has(obj.id))
+      : pageObjects;
+    renderBoard(ctx, objects, {
+      viewport: viewportRef.current,
+      pixelRatio: window.devicePixelRatio || 1,
+    });
+    remoteDraftsRef.current.forEach(({ object }) => {
+      if (pageOf(object) === pageRef.current) drawObject(ctx, object);
+    });
+    if (draftRef.current) {
+      drawObject(ctx, draftRef.current);
+    }
+    const { zoom } = viewportRef.current;
+    const selectionBounds = getSelectionBounds();
+    if (selectionBounds) {
+      drawSelection(ctx, selectionBounds, zoom);
+    }
+    if (selectGestureRef.current?.mode === "marquee") {
+      drawMarquee(ctx, selectGestureRef.current.rect, zoom);
+    }
+    const now = Date.now();
+    lasersRef.current.forEach((trail) => {
+      if (trail.page === pageRef.current) drawLaser(ctx, trail, now, zoom);
+    });
+  };
+
+  // Keep repainting while laser trails are fading, dropping what's gone
+  const animateLasers = () => {
+    laserFrameRef.current = null;
+    const now = Date.now();
+    lasersRef.current.forEach((trail, userId) => {
+      trail.points = trail.points.filter((point) => now - point.t < LASER_FADE_MS);
+      if (trail.points.length === 0) lasersRef.current.delete(userId);
+    });
+    redraw();
+    if (lasersRef.current.size > 0) {
+      laserFrameRef.current = requestAnimationFrame(animateLasers);
+    }
+  };
+
+  const addLaserPoint = (userId, color, page, { x, y, start }) => {
+    const trail = lasersRef.current.get(userId);
+    const point = { x, y, start, t: Date.now() };
+    if (trail?.page === page) {
+      trail.points.push(point);
+    } else {
+      lasersRef.current.set(userId, { color, page, points: [point] });
+    }
+    laserFrameRef.current ||= requestAnimationFrame(animateLasers);
+  };
+
+  // Live previews only matter in the moment, so they're never queued
+  const emitLive = (event, data) => {
+    if (roomReadyRef.current) getSocket().emit(event, data);
+  };
+
+  const canEditBoard = () => !readOnlyRef.current && !previewRef.current;
+
+  const getCurrentPageObjects = () => getPageObjects(objectsRef.current, pageRef.current);
+
+  // New objects go on the page this user is looking at
+  const onPage = (obj) => ({ ...obj, page: pageRef.current });
+
+  const getSelectedObjects = () => {
+    const ids = new Set(selectedIdsRef.current);
+    return objectsRef.current.filter((obj) => ids.has(obj.id));
+  };
+
+  const getSelectionBounds = () => getBoardBounds(getSelectedObjects());
+
+  const updateSelection = (ids) => {
+    selectedIdsRef.current = ids;
+    setSelectedIds(ids);
+    redraw();
+  };
+
+  const changeTool = (next) => {
+    finishTextEdit();
+    if (next !== TOOLS.SELECT && selectedIdsRef.current.length > 0) {
+      updateSelection([]);
+    }
+    setTool(next);
+  };
+
+  const updateViewport = (next) => {
+    viewportRef.current = next;
+    setViewport(next);
+    redraw();
+    shareViewport();
+  };
+
+  // While presenting, send the area in view (and its page) to the room. The
+  // latest view goes out at the end of each throttle window.
+  const shareViewport = () => {
+    if (!presentingRef.current || viewportTimerRef.current) return;
+    viewportTimerRef.current = setTimeout(() => {
+      viewportTimerRef.current = null;
+      const canvas = canvasRef.current;
+      if (!presentingRef.current || !canvas) return;
+      const area = getVisibleArea(viewportRef.current, canvas.clientWidth, canvas.clientHeight);
+      emitLive("viewport", { roomId, ...area, page: pageRef.current });
+    }, VIEWPORT_THROTTLE_MS);
+  };
+
+  // Zoom by a factor around the middle of the canvas
+  const zoomBy = (factor) => {
     const canvas = canvasRef.current;
     if (!canvas) return;
-    try {
-      const dataUrl = canvas.toDataURL("image/png");
-      historyRef.current.push(dataUrl);
-      if (historyRef.current.length > 30) {
-        historyRef.current.shift();
-      }
-      setCanUndo(historyRef.current.length > 1);
-    } catch (e) {
-      console.error("Save error:", e);
+    stopFollowing();
+    const current = viewportRef.current;
+    updateViewport(zoomAt(current, current.zoom * factor, canvas.clientWidth / 2, canvas.clientHeight / 2));
+  };
+
+  const resetZoom = () => {
+    zoomBy(1 / viewportRef.current.zoom);
+  };
+
+  const zoomToFit = () => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    stopFollowing();
+    updateViewport(fitBounds(getBoardBounds(getCurrentPageObjects()), canvas.clientWidth, canvas.clientHeight));
+  };
+
+  // Pages are part of the document and change along with it. Only re-render
+  // when they actually did, and leave a page that was deleted.
+  const refreshPages = () => {
+    const next = getPages(objectsRef.current);
+    const key = next.map((page) => `${page.id}:${page.order}:${page.name}`).join("|");
+    if (key === pagesKeyRef.current) return;
+    pagesKeyRef.current = key;
+    setPages(next);
+    if (!next.some((page) => page.id === pageRef.current)) {
+      goToPage(next[0].id, { follow: true });
+    }
+  };
+
+  // Tell the room which page this user is on, through their cursor
+  const announcePage = () => {
+    emitLive("cursor-move", { roomId, ...lastPointerRef.current, page: pageRef.current });
+  };
+
+  // Switch pages, coming back to where this user left the page. Picking a
+  // page by hand stops following someone; `follow` is for the moves made
+  // while following.
+  const goToPage = (id, { follow = false } = {}) => {
+    if (!follow) stopFollowing();
+    if (id === pageRef.current) return;
+    finishTextEdit();
+    pageViewportsRef.current.set(pageRef.current, viewportRef.current);
+    pageRef.current = id;
+    setPageId(id);
+    selectedIdsRef.current = [];
+    setSelectedIds([]);
+    updateViewport(pageViewportsRef.current.get(id) || viewportRef.current);
+    announcePage();
+  };
+
+  const goToAdjacentPage = (step) => {
+    const list = getPages(objectsRef.current);
+    const index = list.findIndex((page) => page.id === pageRef.current);
+    const next = list[index + step];
+    if (next) goToPage(next.id);
+  };
+
+  const hasPage = (id) => getPages(objectsRef.current).some((page) => page.id === id);
+
+  // Follow a member's page, and their view too when they're presenting
+  const followMember = (member) => {
+    followingRef.current = member.id;
+    setFollowingId(member.id);
+    if (member.viewport) {
+      followViewport(member.viewport);
+      return;
     }
+    const page = cursors[member.id]?.page || member.page;
+    if (page && hasPage(page)) goToPage(page, { follow: true });
   };
 
-  const restoreCanvas = (dataUrl) => {
+  // Show the area a presenter has in view, scaled to fit this screen
+  const followViewport = (area) => {
+    if (area.page && area.page !== pageRef.current && hasPage(area.page)) {
+      goToPage(area.page, { follow: true });
+    }
     const canvas = canvasRef.current;
-    const ctx = ctxRef.current;
-    if (!canvas || !ctx) return;
-    const img = new Image();
-    img.onload = () => {
-      ctx.clearRect(0, 0, canvas.width, canvas.height);
-      ctx.drawImage(img, 0, 0);
-    };
-    img.src = dataUrl;
+    if (canvas) updateViewport(showArea(area, canvas.clientWidth, canvas.clientHeight));
+  };
+
+  const togglePresenting = () => {
+    const next = !presentingRef.current;
+    presentingRef.current = next;
+    setPresenting(next);
+    emitLive("present", { roomId, presenting: next });
+    if (next) {
+      stopFollowing();
+      shareViewport();
+    }
+  };
+
+  const stopFollowing = () => {
+    if (!followingRef.current) return;
+    followingRef.current = null;
+    setFollowingId(null);
+  };
+
+  // Page edits are ordinary board operations, so they sync, undo and show up
+  // in the history like any other change. The implicit first page of a board
+  // without pages is added for real the first time pages are edited.
+  const withRealPages = (objects) =>
+    objectsRef.current.some((obj) => obj.type === "page") ? objects : [...getPages(objectsRef.current), ...objects];
+
+  const addPage = () => {
+    const list = getPages(objectsRef.current);
+    const page = createPage({ name: `Page ${list.length + 1}`, order: list[list.length - 1].order + 1 });
+    commitOp({ type: "add", objects: withRealPages([page]) });
+    goToPage(page.id);
+  };
+
+  const renamePage = (page, name) => {
+    setRenamingPageId(null);
+    const trimmed = name.trim().slice(0, 64);
+    if (!trimmed || trimmed === page.name) return;
+    if (objectsRef.current.some((obj) => obj.id === page.id)) {
+      commitOp({ type: "update", changes: [{ id: page.id, name: trimmed }] });
+    } else {
+      commitOp({ type: "add", objects: [{ ...page, name: trimmed }] });
+    }
+  };
+
+  // Move a page one place up (-1) or down (1) by ordering it between its
+  // new neighbours, so concurrent moves of other pages don't clash
+  const movePage = (page, step) => {
+    const list = getPages(objectsRef.current);
+    const index = list.findIndex((candidate) => candidate.id === page.id);
+    const [a, b] = step < 0 ? [list[index - 2], list[index - 1]] : [list[index + 1], list[index + 2]];
+    if (!a && !b) return;
+    const order = !a ? b.order - 1 : !b ? a.order + 1 : (a.order + b.order) / 2;
+    commitOp({ type: "update", changes: [{ id: page.id, order }] });
+  };
+
+  // Deleting a page deletes what's on it; undo brings both back
+  const deletePage = (page) => {
+    const list = getPages(objectsRef.current);
+    if (list.length < 2) return;
+    const contents = getPageObjects(objectsRef.current, page.id);
+    if (contents.length > 0 && !window.confirm(`Delete "${page.name}" and everything on it?`)) return;
+    if (page.id === pageRef.current) {
+      const index = list.findIndex((candidate) => candidate.id === page.id);
+      goToPage((list[index + 1] || list[index - 1]).id);
+    }
+    commitOp({ type: "remove", ids: [page.id, ...contents.map((obj) => obj.id)] });
+  };
+
+  // Show a new version of the board
+  const showObjects = (objects) => {
+    objectsRef.current = objects;
+    refreshPages();
+    followTextEdit();
+    // Someone may have deleted what this user had selected
+    const selected = selectedIdsRef.current;
+    if (selected.length > 0) {
+      const existing = new Set(objectsRef.current.map((obj) => obj.id));
+      if (selected.some((id) => !existing.has(id))) {
+        updateSelection(selected.filter((id) => existing.has(id)));
+        return;
+      }
+    }
+    redraw();
+  };
+
+  // Apply a document operation to the local board
+  const applyOp = (op) => showObjects(applyOperation(objectsRef.current, op));
+
+  // Pick up changes merged into the shared document from the room, keeping
+  // this user's own drag on top
+  const syncFromDoc = () => {
+    const objects = readObjects(docRef.current, objectsRef.current);
+    showObjects(unsentOpRef.current ? applyOperation(objects, unsentOpRef.current) : objects);
+  };
+
+  // Start a fresh shared document for the room. Changes made in it go out
+  // as they happen, or wait in a queue until the room is (re)joined; runs of
+  // small ones are merged, since a drag only needs its end result.
+  const startDoc = () => {
+    docRef.current?.destroy();
+    docGenerationRef.current = null;
+    pendingUpdatesRef.current = [];
+    setPendingCount(0);
+    const doc = createBoardDoc();
+    doc.on("update", (update, origin) => {
+      if (origin === REMOTE_ORIGIN) return;
+      if (roomReadyRef.current) {
+        emitDocUpdate(getSocket(), roomId, encodeUpdate(update));
+        return;
+      }
+      const queue = pendingUpdatesRef.current;
+      const last = queue[queue.length - 1];
+      if (last && last.length + update.length <= MAX_QUEUED_UPDATE) {
+        queue[queue.length - 1] = mergeUpdates([last, update]);
+      } else {
+        queue.push(update);
+      }
+      setPendingCount(queue.length);
+    });
+    docRef.current = doc;
+  };
+
+  // Record a document operation in the shared document, which shares it
+  // with the room
+  const sendOp = (op) => applyToDoc(docRef.current, op);
+
+  const updateHistoryState = () => {
+    setCanUndo(undoStackRef.current.length > 0);
+    setCanRedo(redoStackRef.current.length > 0);
+  };
+
+  const resetHistory = () => {
+    undoStackRef.current = [];
+    redoStackRef.current = [];
+    updateHistoryState();
+  };
+
+  // Connectors attached to whatever an update moves or resizes are re-routed
+  // in the same operation, so everyone sees them follow along
+  const withConnectorRoutes = (op) => {
+    if (op.type !== "update") return op;
+    const next = applyOperation(objectsRef.current, op);
+    const routes = routeConnectors(next, op.changes.map((change) => change.id));
+    if (routes.length === 0) return op;
+    const changes = new Map(op.changes.map((change) => [change.id, change]));
+    routes.forEach((route) => changes.set(route.id, { ...changes.get(route.id), ...route }));
+    return { type: "update", changes: [...changes.values()] };
+  };
+
+  // Make a change on behalf of this user: apply it, share it and remember
+  // how to revert it. `before` is the board the change should be undone to,
+  // for changes that were already previewed live (moving, resizing).
+  const commitOp = (update, before = objectsRef.current) => {
+    const op = withConnectorRoutes(update);
+    const inverse = invertOperation(before, op);
+    applyOp(op);
+    sendOp(op);
+    undoStackRef.current.push({ op, inverse });
+    if (undoStackRef.current.length > MAX_UNDO) {
+      undoStackRef.current.shift();
+    }
+    redoStackRef.current = [];
+    updateHistoryState();
   };
 
   const handleUndo = () => {
-    if (historyRef.current.length > 1) {
-      historyRef.current.pop();
-      const prev = historyRef.current[historyRef.current.length - 1];
-      if (prev) {
-        restoreCanvas(prev);
+    const entry = undoStackRef.current.pop();
+    if (!entry) return;
+    const inverse = withConnectorRoutes(entry.inverse);
+    applyOp(inverse);
+    sendOp(inverse);
+    redoStackRef.current.push(entry);
+    updateHistoryState();
+  };
+
+  const handleRedo = () => {
+    const entry = redoStackRef.current.pop();
+    if (!entry) return;
+    // Others may have changed the board since, so work out a fresh inverse
+    const op = withConnectorRoutes(entry.op);
+    const inverse = invertOperation(objectsRef.current, op);
+    applyOp(op);
+    sendOp(op);
+    undoStackRef.current.push({ op, inverse });
+    updateHistoryState();
+  };
+
+  const deleteSelection = () => {
+    const ids = selectedIdsRef.current;
+    if (ids.length === 0) return;
+    updateSelection([]);
+    commitOp({ type: "remove", ids });
+  };
+
+  const duplicateSelection = () => {
+    const copies = duplicateObjects(getSelectedObjects());
+    if (copies.length === 0) return;
+    commitOp({ type: "add", objects: copies });
+    updateSelection(copies.map((obj) => obj.id));
+  };
+
+  // In-place text editing. The text is typed into an editor laid over the
+  // canvas; every keystroke goes out to the room as it happens, and the
+  // finished edit is committed as a single change for undo. What others
+  // type into the same text shows up in the editor as it arrives.
+  const startTextEdit = (object, isNew = false) => {
+    finishTextEdit();
+    updateSelection([]);
+    // New text only reaches the board once something has been typed
+    const edit = { object, before: objectsRef.current, isNew, shared: !isNew, changed: new Set(), text: null };
+    textEditRef.current = edit;
+    if (edit.shared) bindTextEdit(edit);
+    setEditingText(object);
+    redraw();
+  };
+
+  // Follow others' typing in the text being edited: the editor takes on the
+  // merged text, and this user's caret stays put in the text around it
+  const bindTextEdit = (edit) => {
+    edit.unbind?.();
+    const text = getText(docRef.current, edit.object.id);
+    edit.text = text;
+    edit.unbind = null;
+    if (!text) return;
+    const onChange = (event, transaction) => {
+      if (transaction.origin !== REMOTE_ORIGIN) return;
+      const textarea = textareaRef.current;
+      if (!textarea) return;
+      const start = shiftIndex(event.delta, textarea.selectionStart);
+      const end = shiftIndex(event.delta, textarea.selectionEnd);
+      textarea.value = text.toString();
+      textarea.setSelectionRange(start, end);
+    };
+    text.observe(onChange);
+    edit.unbind = () => text.unobserve(onChange);
+  };
+
+  // Keep the text being edited up to date with the board: others may move,
+  // restyle or type into it, or delete it altogether
+  const followTextEdit = () => {
+    const edit = textEditRef.current;
+    if (!edit?.shared) return;
+    const object = objectsRef.current.find((obj) => obj.id === edit.object.id);
+    if (!object) {
+      edit.unbind?.();
+      textEditRef.current = null;
+      setEditingText(null);
+      return;
+    }
+    if (getText(docRef.current, object.id) !== edit.text) bindTextEdit(edit);
+    if (object !== edit.object) {
+      edit.object = object;
+      setEditingText(object);
+    }
+  };
+
+  // Only the fields in `changes` are written, so whatever others change
+  // meanwhile is kept
+  const updateTextEdit = (changes) => {
+    const edit = textEditRef.current;
+    if (!edit) return;
+    edit.object = { ...edit.object, ...changes };
+    Object.keys(changes).forEach((key) => edit.changed.add(key));
+    setEditingText(edit.object);
+    let op;
+    if (edit.shared) {
+      op = withConnectorRoutes({ type: "update", changes: [{ id: edit.object.id, ...changes }] });
+    } else if (edit.object.text) {
+      edit.shared = true;
+      op = { type: "add", objects: [edit.object] };
+    }
+    if (op) {
+      applyOp(op);
+      sendOp(op);
+    }
+    if (edit.shared && !edit.text) bindTextEdit(edit);
+  };
+
+  const finishTextEdit = () => {
+    const edit = textEditRef.current;
+    if (!edit) return;
+    textEditRef.current = null;
+    edit.unbind?.();
+    setEditingText(null);
+    const { object, before, isNew, shared, changed } = edit;
+    // Text left empty is removed (notes stay, they're still a card)
+    if (object.type === "text" && !object.text.trim()) {
+      if (!isNew) {
+        commitOp({ type: "remove", ids: [object.id] }, before);
+      } else if (shared) {
+        const op = { type: "remove", ids: [object.id] };
+        applyOp(op);
+        sendOp(op);
+      } else {
+        redraw();
       }
-      setCanUndo(historyRef.current.length > 1);
+      return;
+    }
+    const original = before.find((obj) => obj.id === object.id);
+    const fields = original ? [...changed].filter((key) => original[key] !== object[key]) : [];
+    if (isNew) {
+      commitOp({ type: "add", objects: [object] }, before);
+    } else if (fields.length > 0) {
+      const change = { id: object.id };
+      fields.forEach((key) => {
+        change[key] = object[key];
+      });
+      commitOp({ type: "update", changes: [change] }, before);
+    } else {
+      redraw();
     }
   };
 
+  // Apply a toolbar color, size, text style or note color to the text being
+  // edited, or else to the selected objects
+  const restyleSelection = ({ color: nextColor, size: nextSize, text: textChanges, fill }) => {
+    const edit = textEditRef.current;
+    if (edit) {
+      const style = { ...edit.object.style, ...textChanges };
+      if (nextColor) style.color = nextColor;
+      if (nextSize) style.fontSize = nextSize * 4;
+      if (fill && edit.object.type === "note") style.fill = fill;
+      updateTextEdit({ style });
+      // Carry on typing after picking a color (but leave a dragged size slider be)
+      if (!nextSize) textareaRef.current?.focus();
+      return;
+    }
+    const changes = getSelectedObjects()
+      // Eraser strokes have no visible color, images have no style
+      .filter((obj) => obj.tool !== TOOLS.ERASER && obj.type !== "image")
+      .filter((obj) => (!textChanges || obj.type === "text" || obj.type === "note") && (!fill || obj.type === "note"))
+      .map((obj) => {
+        const style = { ...obj.style, ...textChanges };
+        if (nextColor) style.color = nextColor;
+        if (fill) style.fill = fill;
+        if (nextSize && (obj.type === "text" || obj.type === "note")) style.fontSize = nextSize * 4;
+        else if (nextSize) style.size = nextSize;
+        return { id: obj.id, style };
+      });
+    if (changes.length > 0) {
+      commitOp({ type: "update", changes });
+    }
+  };
+
+  const handleColorChange = (nextColor) => {
+    setColor(nextColor);
+    restyleSelection({ color: nextColor });
+  };
+
+  const handleSizeChange = (nextSize) => {
+    setSize(nextSize);
+    restyleSelection({ size: nextSize });
+  };
+
+  const handleNoteFillChange = (nextFill) => {
+    setNoteFill(nextFill);
+    restyleSelection({ fill: nextFill });
+  };
+
+  const handleTextStyleChange = (changes) => {
+    setTextStyle((current) => ({ ...current, ...changes }));
+    restyleSelection({ text: changes });
+  };
+
+  // Opens the export dialog, defaulting to the selection if there is one
   const handleExport = () => {
+    const area = selectedIdsRef.current.length > 0 ? "selection" : "board";
+    setExportOptions((options) => ({ ...options, area }));
+    setShowExport(true);
+  };
+
+  const updateExportOptions = (changes) => setExportOptions((options) => ({ ...options, ...changes }));
+
+  const runExport = async () => {
+    const { format, area, scale, background, transparent } = exportOptions;
+    const board = objectsRef.current;
+    const objects = area === "selection" ? getSelectedObjects() : area === "page" ? getCurrentPageObjects() : board;
+    // Every page of the board goes on its own PDF page, and one under another
+    // in a picture; a JSON file keeps the pages as they are
+    const pages = area === "board" ? getPages(board).map((page) => getPageObjects(board, page.id)) : [objects];
+    const picture = area === "board" ? stackPages(board) : objects;
+    const options = { scale, background: transparent ? null : background };
+    const filename = `whiteboard-${roomId}-${Date.now()}.${format}`;
+    setIsExporting(true);
+    try {
+      if (format === "json") {
+        downloadBlob(boardToJsonBlob(objects, roomId), filename);
+      } else if (format === "svg") {
+        downloadBlob(new Blob([boardToSvg(picture, options)], { type: "image/svg+xml" }), filename);
+      } else if (format === "pdf") {
+        downloadBlob(await boardToPdfBlob(pages, options), filename);
+      } else {
+        downloadBlob(await boardToPngBlob(picture, options), filename);
+      }
+      setShowExport(false);
+    } catch (err) {
+      console.error("Export failed:", err);
+      alert("Export failed. Please try again.");
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const historyCredentials = () => ({ key: roomKey, password: roomPassword });
+
+  // Show revision `index` of `list` on the canvas. Answers for revisions the
+  // timeline has already moved past (or for a closed history) are dropped.
+  const previewRevision = async (index, list = revisions) => {
+    const revision = list[index];
+    setRevisionIndex(index);
+    setForkLink(null);
+    if (!revision) return;
+    previewIdRef.current = revision.id;
+    try {
+      const cache = revisionCacheRef.current;
+      if (!cache.has(revision.id)) {
+        cache.set(revision.id, await fetchRoom(roomId, `/revisions/${encodeURIComponent(revision.id)}`, historyCredentials()));
+      }
+      if (previewIdRef.current !== revision.id || !previewRef.current) return;
+      previewRef.current = cache.get(revision.id).objects;
+      redraw();
+    } catch (err) {
+      console.error("Failed to load revision:", err);
+    }
+  };
+
+  const openHistory = async () => {
+    finishTextEdit();
+    updateSelection([]);
+    // Hold the board still until the latest revision arrives
+    previewRef.current = objectsRef.current;
+    setShowHistory(true);
+    setIsLoadingHistory(true);
+    try {
+      const list = await fetchRoom(roomId, "/revisions", historyCredentials());
+      setRevisions(list);
+      await previewRevision(list.length - 1, list);
+    } catch (err) {
+      console.error("Failed to load history:", err);
+      alert("Could not load the version history. Please try again.");
+      closeHistory();
+    } finally {
+      setIsLoadingHistory(false);
+    }
+  };
+
+  const closeHistory = () => {
+    previewRef.current = null;
+    previewIdRef.current = null;
+    setShowHistory(false);
+    setForkLink(null);
+    redraw();
+  };
+
+  const toggleHistory = () => {
+    if (previewRef.current) closeHistory();
+    else openHistory();
+  };
+
+  // The server rewrites the board and sends everyone the change
+  const restoreRevision = () => {
+    const revision = revisions[revisionIndex];
+    if (!revision) return;
+    getSocket().emit("restore-revision", { roomId, revisionId: revision.id });
+    closeHistory();
+  };
+
+  // Copy the revision into a new room that this browser owns
+  const forkRevision = async () => {
+    const revision = revisions[revisionIndex];
+    if (!revision) return;
+    setIsForking(true);
+    try {
+      const fork = await fetchRoom(roomId, `/revisions/${encodeURIComponent(revision.id)}/fork`, {
+        ...historyCredentials(),
+        method: "POST",
+      });
+      saveOwnerToken(fork.roomId, fork.ownerToken);
+      setForkLink(getShareLink(fork.roomId, fork.editorKey));
+    } catch (err) {
+      console.error("Failed to fork revision:", err);
+      alert("Could not fork this version. Please try again.");
+    } finally {
+      setIsForking(false);
+    }
+  };
+
+  // World point at the middle of the view
+  const getViewCenter = () => {
     const canvas = canvasRef.current;
-    if (!canvas) return;
-    const link = document.createElement("a");
-    link.download = `whiteboard-${roomId}-${Date.now()}.png`;
-    link.href = canvas.toDataURL("image/png");
-    link.click();
+    return screenToWorld(viewportRef.current, canvas.clientWidth / 2, canvas.clientHeight / 2);
+  };
+
+  // Pages from a board file are added after this board's pages, and whatever
+  // isn't on one of them lands on the current page
+  const placeImportedPages = (objects) => {
+    const imported = objects.filter((obj) => obj.type === "page").sort((a, b) => a.order - b.order);
+    const ids = new Set(imported.map((page) => page.id));
+    const list = getPages(objectsRef.current);
+    const last = list[list.length - 1].order;
+    return objects.map((obj) => {
+      if (obj.type === "page") return { ...obj, order: last + 1 + imported.indexOf(obj) };
+      return ids.has(obj.page) ? obj : onPage(obj);
+    });
+  };
+
+  // Add dropped, pasted or picked files to the board as one undoable change.
+  // Images are centred on `point` (world coordinates); board files keep their
+  // own positions. Whatever was added ends up selected.
+  const importFiles = async (files, point = getViewCenter()) => {
+    const added = [];
+    for (const file of files) {
+      try {
+        if (isBoardFile(file)) {
+          added.push(...placeImportedPages(await boardFileToObjects(file)));
+        } else if (isImageFile(file)) {
+          const offset = added.length * 20;
+          added.push(onPage(await imageFileToObject(file, { x: point.x + offset, y: point.y + offset })));
+        }
+      } catch (err) {
+        console.error("Import failed:", err);
+        alert(err.message);
+      }
+    }
+    if (added.length === 0) return;
+    commitOp({ type: "add", objects: added.some((obj) => obj.type === "page") ? withRealPages(added) : added });
+    changeTool(TOOLS.SELECT);
+    updateSelection(getCurrentPageObjects().filter((obj) => added.includes(obj)).map((obj) => obj.id));
+  };
+
+  const handleImportPick = (e) => {
+    importFiles([...e.target.files]);
+    // Let the same file be picked again
+    e.target.value = "";
+  };
+
+  const handleDragOver = (e) => {
+    if (canEditBoard() && e.dataTransfer.types.includes("Files")) {
+      e.preventDefault();
+      e.dataTransfer.dropEffect = "copy";
+    }
+  };
+
+  const handleDrop = (e) => {
+    if (!canEditBoard() || e.dataTransfer.files.length === 0) return;
+    e.preventDefault();
+    const rect = canvasRef.current.getBoundingClientRect();
+    importFiles([...e.dataTransfer.files], screenToWorld(viewportRef.current, e.clientX - rect.left, e.clientY - rect.top));
   };
 
   const resizeCanvas = () => {
@@ -226,13 +1221,11 @@ export default function App() {
     canvas.style.width = w + "px";
     canvas.style.height = h + "px";
     const ctx = canvas.getContext("2d");
-    ctx.scale(dpr, dpr);
     ctx.lineCap = "round";
     ctx.lineJoin = "round";
     ctxRef.current = ctx;
-    ctx.clearRect(0, 0, canvas.width, canvas.height);
-    historyRef.current = [];
-    saveCanvas();
+    redraw();
+    shareViewport();
   };
 
   useEffect(() => {
@@ -249,148 +1242,562 @@ export default function App() {
     ctxRef.current = ctx;
     const currentSocket = getSocket();
 
+    const getScreenPoint = (e) => {
+      const rect = canvas.getBoundingClientRect();
+      return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    };
+
+    // Abandon the stroke or shape in progress, e.g. when a pinch starts
+    const cancelDrawing = () => {
+      if (eraseGestureRef.current) {
+        eraseGestureRef.current = null;
+        redraw();
+      }
+      const draft = draftRef.current;
+      isDrawingRef.current = false;
+      draftRef.current = null;
+      clearStrokeOutbox();
+      if (!draft) return;
+      emitLive(draft.type === "stroke" ? "end-draw" : "end-shape", { roomId, id: draft.id });
+      redraw();
+    };
+
+    // Stroke points go out in one batch per animation frame (see transport.js)
+    const flushStrokePoints = () => {
+      strokeFrameRef.current = null;
+      const outbox = strokeOutboxRef.current;
+      if (!outbox || outbox.points.length === 0) return;
+      emitLive("drawing", { roomId, id: outbox.id, ...encodePoints(outbox.points, outbox.sent) });
+      outbox.sent = outbox.points[outbox.points.length - 1];
+      outbox.points = [];
+    };
+
+    const queueStrokePoint = (point) => {
+      strokeOutboxRef.current.points.push(point);
+      strokeFrameRef.current ||= requestAnimationFrame(flushStrokePoints);
+    };
+
+    // The finished stroke goes out whole as a document change, so whatever
+    // is still waiting can be dropped
+    const clearStrokeOutbox = () => {
+      cancelAnimationFrame(strokeFrameRef.current);
+      strokeFrameRef.current = null;
+      strokeOutboxRef.current = null;
+    };
+
+    const startPinch = () => {
+      cancelDrawing();
+      stopFollowing();
+      const [a, b] = [...touchPointsRef.current.values()];
+      pinchRef.current = {
+        distance: Math.hypot(b.x - a.x, b.y - a.y) || 1,
+        center: { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 },
+        viewport: viewportRef.current,
+      };
+    };
+
+    const updatePinch = () => {
+      const [a, b] = [...touchPointsRef.current.values()];
+      const start = pinchRef.current;
+      const distance = Math.hypot(b.x - a.x, b.y - a.y);
+      const center = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+      // Zoom around where the fingers started, then follow them as they move
+      const zoomed = zoomAt(start.viewport, start.viewport.zoom * (distance / start.distance), start.center.x, start.center.y);
+      updateViewport(panBy(zoomed, center.x - start.center.x, center.y - start.center.y));
+    };
+
+    // The topmost object a connector end can attach to at (x, y), other than
+    // `except` (a connector doesn't attach to itself or to other connectors)
+    const findAttachable = (x, y, except) =>
+      findObjectAt(
+        getCurrentPageObjects().filter((obj) => obj.type !== "connector" && obj.tool !== TOOLS.ERASER && obj.id !== except),
+        x, y, HANDLE_SIZE / viewportRef.current.zoom
+      );
+
+    // Peers see a connector being drawn as a plain arrow
+    const connectorPreview = (connector) => ({
+      id: connector.id, type: "shape", shape: "arrow", style: connector.style, page: connector.page,
+      x1: connector.x1, y1: connector.y1, x2: connector.x2, y2: connector.y2,
+    });
+
+    // Pen pressure where the device reports it. Otherwise it's made up from
+    // speed, eased so the width changes smoothly: fast lines come out thinner,
+    // like ink. Rounded to keep the synced points small.
+    const samplePressure = (e, screen) => {
+      const motion = strokeMotionRef.current;
+      let pressure = 0.5;
+      if (e.pointerType === "pen" && e.pressure > 0) {
+        pressure = e.pressure;
+      } else if (motion) {
+        const speed = Math.hypot(screen.x - motion.x, screen.y - motion.y) / Math.max(1, e.timeStamp - motion.t);
+        const target = Math.min(0.55, Math.max(0.15, 0.55 - speed * 0.12));
+        pressure = motion.pressure * 0.7 + target * 0.3;
+      }
+      strokeMotionRef.current = { ...screen, t: e.timeStamp, pressure };
+      return Math.round(pressure * 100) / 100;
+    };
+
+    // The laser leaves a fading trail here and for everyone on this page
+    const pointLaser = (x, y, start) => {
+      addLaserPoint("self", selfColorRef.current, pageRef.current, { x, y, start });
+      emitLive("laser", { roomId, x, y, page: pageRef.current, start });
+    };
+
+    // Send a move/resize in progress to the room without recording it for
+    // undo; the final state is committed on release
+    const streamTransform = (gesture, changes, force = false) => {
+      const op = withConnectorRoutes({ type: "update", changes });
+      applyOp(op);
+      const now = Date.now();
+      if (force || now - gesture.lastEmit >= TRANSFORM_THROTTLE_MS) {
+        gesture.lastEmit = now;
+        unsentOpRef.current = null;
+        sendOp(op);
+      } else {
+        unsentOpRef.current = op;
+      }
+    };
+
+    const startSelectGesture = (e, point) => {
+      const { zoom } = viewportRef.current;
+      const tolerance = HANDLE_SIZE / zoom;
+      const bounds = getSelectionBounds();
+      const base = { start: point, before: objectsRef.current, lastEmit: 0 };
+      canvas.setPointerCapture?.(e.pointerId);
+
+      // Corner handles resize the whole selection from the opposite corner
+      if (bounds) {
+        const handles = getHandles(bounds);
+        const handle = Object.keys(handles).find((key) =>
+          Math.abs(handles[key].x - point.x) <= tolerance && Math.abs(handles[key].y - point.y) <= tolerance
+        );
+        if (handle) {
+          const opposite = handles[{ nw: "se", ne: "sw", sw: "ne", se: "nw" }[handle]];
+          selectGestureRef.current = { ...base, mode: "resize", bounds, anchor: opposite, originals: getSelectedObjects() };
+          return;
+        }
+      }
+
+      const hit = findObjectAt(getCurrentPageObjects(), point.x, point.y, tolerance);
+      if (hit) {
+        let ids = selectedIdsRef.current;
+        if (e.shiftKey) {
+          updateSelection(ids.includes(hit.id) ? ids.filter((id) => id !== hit.id) : [...ids, hit.id]);
+          return;
+        }
+        if (!ids.includes(hit.id)) {
+          ids = [hit.id];
+          updateSelection(ids);
+        }
+        selectGestureRef.current = { ...base, mode: "move", originals: getSelectedObjects() };
+        return;
+      }
+
+      if (!e.shiftKey) {
+        updateSelection([]);
+      }
+      selectGestureRef.current = {
+        ...base,
+        mode: "marquee",
+        rect: { minX: point.x, minY: point.y, maxX: point.x, maxY: point.y },
+      };
+    };
+
+    const updateSelectGesture = (point) => {
+      const gesture = selectGestureRef.current;
+      if (gesture.mode === "move") {
+        const dx = point.x - gesture.start.x;
+        const dy = point.y - gesture.start.y;
+        gesture.changes = gesture.originals.map((obj) => ({ id: obj.id, ...translateObject(obj, dx, dy) }));
+        streamTransform(gesture, gesture.changes);
+      } else if (gesture.mode === "resize") {
+        const { anchor } = gesture;
+        const to = {
+          minX: Math.min(anchor.x, point.x),
+          minY: Math.min(anchor.y, point.y),
+          maxX: Math.max(anchor.x, point.x),
+          maxY: Math.max(anchor.y, point.y),
+        };
+        gesture.changes = gesture.originals.map((obj) => ({ id: obj.id, ...scaleObject(obj, gesture.bounds, to) }));
+        streamTransform(gesture, gesture.changes);
+      } else {
+        gesture.rect = {
+          minX: Math.min(gesture.start.x, point.x),
+          minY: Math.min(gesture.start.y, point.y),
+          maxX: Math.max(gesture.start.x, point.x),
+          maxY: Math.max(gesture.start.y, point.y),
+        };
+        redraw();
+      }
+    };
+
+    const finishSelectGesture = () => {
+      const gesture = selectGestureRef.current;
+      selectGestureRef.current = null;
+      unsentOpRef.current = null;
+      if (gesture.mode === "marquee") {
+        const picked = getCurrentPageObjects()
+          .filter((obj) => {
+            const bounds = getBounds(obj);
+            return bounds && boundsIntersect(bounds, gesture.rect);
+          })
+          .map((obj) => obj.id);
+        updateSelection([...new Set([...selectedIdsRef.current, ...picked])]);
+      } else if (gesture.changes) {
+        commitOp({ type: "update", changes: gesture.changes }, gesture.before);
+      }
+    };
+
+    // Hide every object the object eraser touches on its way from the last
+    // pointer position to (x, y). Pixel-eraser strokes are left alone, since
+    // removing one would bring back what it rubbed out.
+    const eraseObjectsAlong = (x, y) => {
+      const gesture = eraseGestureRef.current;
+      const radius = (size * 3) / 2;
+      const from = gesture.last;
+      const steps = Math.max(1, Math.ceil(Math.hypot(x - from.x, y - from.y) / radius));
+      let changed = false;
+      for (let step = 1; step <= steps; step += 1) {
+        const px = from.x + ((x - from.x) * step) / steps;
+        const py = from.y + ((y - from.y) * step) / steps;
+        getCurrentPageObjects().forEach((obj) => {
+          if (obj.tool === TOOLS.ERASER || gesture.ids.has(obj.id)) return;
+          if (hitTest(obj, px, py, radius)) {
+            gesture.ids.add(obj.id);
+            changed = true;
+          }
+        });
+      }
+      gesture.last = { x, y };
+      if (changed) redraw();
+    };
+
+    const finishEraseGesture = () => {
+      const { ids, before } = eraseGestureRef.current;
+      eraseGestureRef.current = null;
+      if (ids.size > 0) {
+        commitOp({ type: "remove", ids: [...ids] }, before);
+      }
+    };
+
     const handlePointerDown = (e) => {
+      const screen = getScreenPoint(e);
+      
+      if (e.pointerType === "touch") {
+        touchPointsRef.current.set(e.pointerId, screen);
+        if (touchPointsRef.current.size === 2) {
+          startPinch();
+          return;
+        }
+      }
+      if (pinchRef.current) return;
+      
+      // Middle mouse or space+drag pans the board, as does any drag for
+      // viewers and while looking through the version history
+      if (e.button === 1 || spaceHeldRef.current || !canEditBoard()) {
+        e.preventDefault();
+        stopFollowing();
+        canvas.setPointerCapture?.(e.pointerId);
+        panRef.current = { pointerId: e.pointerId, ...screen };
+        setIsPanning(true);
+        return;
+      }
+      
       if (e.button && e.button !== 0) return;
       
-      const rect = canvas.getBoundingClientRect();
-      const x = e.clientX - rect.left;
-      const y = e.clientY - rect.top;
-      
-      // Handle text tool - set position and show marker
-      if (tool === TOOLS.TEXT) {
-        setTextPosition({ x, y });
-        setIsPlacingText(true);
-        setShowTextMarker(true);
+      // Clicking away from the text being edited finishes it
+      if (textEditRef.current) {
+        finishTextEdit();
         return;
       }
       
-      canvas.setPointerCapture?.(e.pointerId);
-      isDrawingRef.current = true;
-      startPosRef.current = { x, y };
+      const { x, y } = screenToWorld(viewportRef.current, screen.x, screen.y);
       
-      ctx.beginPath();
-      ctx.moveTo(x, y);
-      ctx.strokeStyle = tool === TOOLS.ERASER ? "#ffffff" : color;
-      ctx.lineWidth = tool === TOOLS.ERASER ? size * 3 : size;
+      if (tool === TOOLS.SELECT) {
+        startSelectGesture(e, { x, y });
+        return;
+      }
       
-      // For shapes, create temp canvas for preview
-      if ([TOOLS.LINE, TOOLS.RECTANGLE, TOOLS.CIRCLE, TOOLS.ARROW].includes(tool)) {
-        tempCanvasRef.current = document.createElement("canvas");
-        tempCanvasRef.current.width = canvas.width;
-        tempCanvasRef.current.height = canvas.height;
-        const tempCtx = tempCanvasRef.current.getContext("2d");
-        tempCtx.drawImage(canvas, 0, 0);
+      if (tool === TOOLS.LASER) {
+        canvas.setPointerCapture?.(e.pointerId);
+        laserActiveRef.current = true;
+        pointLaser(x, y, true);
+        return;
       }
       
-      currentSocket.emit("start-draw", { roomId, x, y, color: tool === TOOLS.ERASER ? "#ffffff" : color, size: tool === TOOLS.ERASER ? size * 3 : size, tool });
+      // The text and note tools edit the text or note they land on, or start
+      // a new one with its top-left corner at the click
+      if (tool === TOOLS.TEXT || tool === TOOLS.NOTE) {
+        const hit = findObjectAt(getCurrentPageObjects(), x, y, HANDLE_SIZE / viewportRef.current.zoom);
+        if (hit?.type === "text" || hit?.type === "note") {
+          startTextEdit(hit);
+        } else if (tool === TOOLS.NOTE) {
+          startTextEdit(onPage(createNote({ fill: noteFill, x, y })), true);
+        } else {
+          const fontSize = size * 4;
+          startTextEdit(onPage(createText({ text: "", color, fontSize, ...textStyle, x, y: y + fontSize })), true);
+        }
+        return;
+      }
+      
+      canvas.setPointerCapture?.(e.pointerId);
+      
+      if (tool === TOOLS.ERASER && eraserMode === "object") {
+        eraseGestureRef.current = { ids: new Set(), before: objectsRef.current, last: { x, y } };
+        eraseObjectsAlong(x, y);
+        return;
+      }
+      
+      isDrawingRef.current = true;
+      
+      // Eraser strokes render as cut-outs; white keeps them looking right on
+      // clients that still paint them. Erasers and highlighters are wide.
+      const strokeColor = tool === TOOLS.ERASER ? "#ffffff" : color;
+      const isWide = tool === TOOLS.ERASER || (tool === TOOLS.BRUSH && brushStyle === "highlighter");
+      const strokeSize = isWide ? size * 3 : size;
+      if (SHAPE_TOOLS.includes(tool)) {
+        draftRef.current = onPage(createShape({ shape: tool, color, size, x, y }));
+        emitLive("start-shape", { roomId, shape: draftRef.current });
+      } else if (tool === TOOLS.CONNECTOR) {
+        const from = findAttachable(x, y);
+        draftRef.current = onPage(createConnector({ color, size, from: from?.id, x, y }));
+        emitLive("start-shape", { roomId, shape: connectorPreview(draftRef.current) });
+      } else {
+        const brush = tool === TOOLS.BRUSH ? brushStyle : "pen";
+        strokeMotionRef.current = null;
+        const pressure = brush === "pen" && tool === TOOLS.BRUSH ? samplePressure(e, screen) : undefined;
+        const [sx, sy] = [snapCoordinate(x), snapCoordinate(y)];
+        draftRef.current = onPage(createStroke({ tool, color: strokeColor, size: strokeSize, brush, x: sx, y: sy, pressure }));
+        strokeOutboxRef.current = { id: draftRef.current.id, sent: [sx, sy], points: [] };
+        emitLive("start-draw", {
+          roomId, id: draftRef.current.id, x: sx, y: sy, pressure, color: strokeColor, size: strokeSize, tool, brush, page: pageRef.current,
+        });
+      }
     };
 
     const handlePointerMove = (e) => {
-      if (!isDrawingRef.current) return;
+      const screen = getScreenPoint(e);
       
-      const rect = canvas.getBoundingClientRect();
-      const x = e.clientX - rect.left;
-      const y = e.clientY - rect.top;
-      const startX = startPosRef.current.x;
-      const startY = startPosRef.current.y;
-      
-      if ([TOOLS.LINE, TOOLS.RECTANGLE, TOOLS.CIRCLE, TOOLS.ARROW].includes(tool)) {
-        const tempCtx = tempCanvasRef.current?.getContext("2d");
-        if (tempCtx) {
-          ctx.putImageData(tempCtx.getImageData(0, 0, canvas.width, canvas.height), 0, 0);
-        }
-        
-        ctx.strokeStyle = color;
-        ctx.lineWidth = size;
-        
-        if (tool === TOOLS.LINE) {
-          ctx.beginPath();
-          ctx.moveTo(startX, startY);
-          ctx.lineTo(x, y);
-          ctx.stroke();
-        } else if (tool === TOOLS.RECTANGLE) {
-          ctx.strokeRect(startX, startY, x - startX, y - startY);
-        } else if (tool === TOOLS.CIRCLE) {
-          const radius = Math.sqrt(Math.pow(x - startX, 2) + Math.pow(y - startY, 2));
-          ctx.beginPath();
-          ctx.arc(startX, startY, radius, 0, Math.PI * 2);
-          ctx.stroke();
-        } else if (tool === TOOLS.ARROW) {
-          drawArrow(ctx, startX, startY, x, y, size);
-        }
-      } else {
-        ctx.lineTo(x, y);
-        ctx.strokeStyle = tool === TOOLS.ERASER ? "#ffffff" : color;
-        ctx.lineWidth = tool === TOOLS.ERASER ? size * 3 : size;
-        ctx.stroke();
+      if (touchPointsRef.current.has(e.pointerId)) {
+        touchPointsRef.current.set(e.pointerId, screen);
+      }
+      if (pinchRef.current) {
+        updatePinch();
+        return;
+      }
+      
+      const pan = panRef.current;
+      if (pan && pan.pointerId === e.pointerId) {
+        updateViewport(panBy(viewportRef.current, screen.x - pan.x, screen.y - pan.y));
+        panRef.current = { ...pan, ...screen };
+        return;
+      }
+      
+      const { x, y } = screenToWorld(viewportRef.current, screen.x, screen.y);
+      lastPointerRef.current = { x, y };
+      
+      const now = Date.now();
+      if (now - lastCursorEmitRef.current >= CURSOR_THROTTLE_MS) {
+        lastCursorEmitRef.current = now;
+        emitLive("cursor-move", { roomId, x, y, page: pageRef.current });
+      }
+      
+      if (laserActiveRef.current) {
+        pointLaser(x, y, false);
+        return;
+      }
+      
+      if (selectGestureRef.current) {
+        updateSelectGesture({ x, y });
+        return;
+      }
+      
+      if (eraseGestureRef.current) {
+        eraseObjectsAlong(x, y);
+        return;
       }
       
-      currentSocket.emit("drawing", { roomId, x, y, color, size, tool });
+      if (!isDrawingRef.current || !draftRef.current) return;
+      
+      const draft = draftRef.current;
+      
+      if (draft.type === "shape") {
+        draftRef.current = { ...draft, x2: x, y2: y };
+        redraw();
+        emitLive("drawing-shape", { roomId, id: draft.id, x2: x, y2: y });
+      } else if (draft.type === "connector") {
+        const to = findAttachable(x, y, draft.from);
+        const next = { ...draft, to: to?.id ?? null, x2: x, y2: y };
+        draftRef.current = { ...next, ...routeConnector(next, new Map(getCurrentPageObjects().map((obj) => [obj.id, obj]))) };
+        redraw();
+        emitLive("drawing-shape", { roomId, id: draft.id, x2: draftRef.current.x2, y2: draftRef.current.y2 });
+      } else {
+        const point = [snapCoordinate(x), snapCoordinate(y)];
+        if (draft.points[0].length > 2) point.push(samplePressure(e, screen));
+        draft.points.push(point);
+        if (canDrawIncrementally(draft)) {
+          drawLatestSegment(ctx, draft);
+        } else {
+          redraw();
+        }
+        queueStrokePoint(point);
+      }
     };
 
     const stopDrawing = (e) => {
+      touchPointsRef.current.delete(e.pointerId);
+      if (pinchRef.current) {
+        if (touchPointsRef.current.size < 2) {
+          pinchRef.current = null;
+        }
+        return;
+      }
+      
+      if (panRef.current?.pointerId === e.pointerId) {
+        panRef.current = null;
+        setIsPanning(false);
+        try { canvas.releasePointerCapture?.(e.pointerId); } catch { /* already released */ }
+        return;
+      }
+      
+      if (laserActiveRef.current) {
+        laserActiveRef.current = false;
+        try { canvas.releasePointerCapture?.(e.pointerId); } catch { /* already released */ }
+        return;
+      }
+      
+      if (selectGestureRef.current) {
+        try { canvas.releasePointerCapture?.(e.pointerId); } catch { /* already released */ }
+        finishSelectGesture();
+        return;
+      }
+      
+      if (eraseGestureRef.current) {
+        try { canvas.releasePointerCapture?.(e.pointerId); } catch { /* already released */ }
+        finishEraseGesture();
+        return;
+      }
+      
       if (!isDrawingRef.current) return;
       isDrawingRef.current = false;
-      ctx.closePath();
+      const draft = draftRef.current;
+      draftRef.current = null;
+      clearStrokeOutbox();
       
-      try { canvas.releasePointerCapture?.(e.pointerId); } catch (err) {}
+      try { canvas.releasePointerCapture?.(e.pointerId); } catch { /* already released */ }
       
-      currentSocket.emit("end-draw", { roomId, tool });
-      saveCanvas();
+      if (!draft) return;
+      // Commit before ending the preview so peers never see the shape vanish
+      commitOp({ type: "add", objects: [draft] });
+      emitLive(draft.type === "stroke" ? "end-draw" : "end-shape", { roomId, id: draft.id });
     };
 
-    function drawArrow(ctx, fromX, fromY, toX, toY, lineWidth) {
-      const headLength = lineWidth * 4;
-      const angle = Math.atan2(toY - fromY, toX - fromX);
-      
-      ctx.beginPath();
-      ctx.moveTo(fromX, fromY);
-      ctx.lineTo(toX, toY);
-      ctx.stroke();
-      
-      ctx.beginPath();
-      ctx.moveTo(toX, toY);
-      ctx.lineTo(toX - headLength * Math.cos(angle - Math.PI / 6), toY - headLength * Math.sin(angle - Math.PI / 6));
-      ctx.moveTo(toX, toY);
-      ctx.lineTo(toX - headLength * Math.cos(angle + Math.PI / 6), toY - headLength * Math.sin(angle + Math.PI / 6));
-      ctx.stroke();
-    }
+    const handleWheel = (e) => {
+      e.preventDefault();
+      const screen = getScreenPoint(e);
+      // Line-based deltas (Firefox) are much coarser than pixel deltas, and
+      // trackpad pinches arrive as small wheel deltas with ctrlKey set
+      const delta = e.deltaMode === 1 ? e.deltaY * 16 : e.deltaY;
+      const factor = Math.exp(-delta * (e.ctrlKey ? 0.01 : 0.0015));
+      const current = viewportRef.current;
+      stopFollowing();
+      updateViewport(zoomAt(current, current.zoom * factor, screen.x, screen.y));
+    };
+
+    // Double-clicking text opens it for editing
+    const handleDoubleClick = (e) => {
+      if (!canEditBoard() || ![TOOLS.SELECT, TOOLS.TEXT, TOOLS.NOTE].includes(tool)) return;
+      const screen = getScreenPoint(e);
+      const { x, y } = screenToWorld(viewportRef.current, screen.x, screen.y);
+      const hit = findObjectAt(getCurrentPageObjects(), x, y, HANDLE_SIZE / viewportRef.current.zoom);
+      if (hit?.type === "text" || hit?.type === "note") startTextEdit(hit);
+    };
 
     canvas.addEventListener("pointerdown", handlePointerDown);
     canvas.addEventListener("pointermove", handlePointerMove);
     window.addEventListener("pointerup", stopDrawing);
     canvas.addEventListener("pointercancel", stopDrawing);
     canvas.addEventListener("pointerleave", stopDrawing);
+    canvas.addEventListener("wheel", handleWheel, { passive: false });
+    canvas.addEventListener("dblclick", handleDoubleClick);
 
     const handleRemoteStart = (data) => {
-      if (!data || data.roomId !== roomId) return;
-      ctx.beginPath();
-      ctx.moveTo(data.x, data.y);
-      ctx.strokeStyle = data.color || "#000";
-      ctx.lineWidth = data.size || 3;
+      if (!data?.id || data.roomId !== roomId) return;
+      remoteDraftsRef.current.set(draftKey(data.userId, data.id), {
+        userId: data.userId,
+        object: {
+          id: data.id,
+          type: "stroke",
+          tool: data.tool,
+          style: { color: data.color || "#000", size: data.size || 3, brush: data.brush || "pen" },
+          points: [data.pressure === undefined ? [data.x, data.y] : [data.x, data.y, data.pressure]],
+          page: data.page,
+        },
+      });
     };
     const handleRemoteDrawing = (data) => {
       if (!data || data.roomId !== roomId) return;
-      ctx.strokeStyle = data.color || "#000";
-      ctx.lineWidth = data.size || 3;
-      ctx.lineTo(data.x, data.y);
-      ctx.stroke();
+      const draft = remoteDraftsRef.current.get(draftKey(data.userId, data.id));
+      if (!draft) return;
+      // Batches continue from this stroke's own previous point
+      const { points } = draft.object;
+      const added = decodePoints(data, points[points.length - 1]);
+      const visible = !previewRef.current && pageOf(draft.object) === pageRef.current;
+      const incremental = canDrawIncrementally(draft.object);
+      added.forEach((point) => {
+        points.push(point);
+        if (visible && incremental) drawLatestSegment(ctx, draft.object);
+      });
+      if (visible && !incremental) redraw();
     };
     const handleRemoteEnd = (data) => {
       if (!data || data.roomId !== roomId) return;
-      ctx.closePath();
+      // The finished stroke has already arrived as a document update
+      remoteDraftsRef.current.delete(draftKey(data.userId, data.id));
     };
-    const handleRemoteText = (data) => {
+    const handleRemoteShapeStart = (data) => {
+      if (!data?.shape || data.roomId !== roomId) return;
+      remoteDraftsRef.current.set(draftKey(data.userId, data.shape.id), { userId: data.userId, object: data.shape });
+      redraw();
+    };
+    const handleRemoteShapeDrawing = (data) => {
+      if (!data || data.roomId !== roomId) return;
+      const key = draftKey(data.userId, data.id);
+      const draft = remoteDraftsRef.current.get(key);
+      if (!draft) return;
+      remoteDraftsRef.current.set(key, { ...draft, object: { ...draft.object, x2: data.x2, y2: data.y2 } });
+      redraw();
+    };
+    const handleRemoteShapeEnd = (data) => {
       if (!data || data.roomId !== roomId) return;
-      ctx.font = `${data.fontSize}px Inter, sans-serif`;
-      ctx.fillStyle = data.color;
-      ctx.fillText(data.text, data.x, data.y);
+      remoteDraftsRef.current.delete(draftKey(data.userId, data.id));
+      redraw();
+    };
+    // Drop previews left behind by someone who disconnected mid-drag
+    const handleUserLeft = (data) => {
+      let changed = false;
+      remoteDraftsRef.current.forEach((draft, key) => {
+        if (draft.userId === data?.userId) {
+          remoteDraftsRef.current.delete(key);
+          changed = true;
+        }
+      });
+      if (changed) redraw();
+    };
+    const handleRemoteUpdate = (data) => {
+      if (!data || data.roomId !== roomId || !docRef.current) return;
+      applyRemoteUpdate(docRef.current, data.update);
+      syncFromDoc();
     };
 
     currentSocket.on("start-draw", handleRemoteStart);
     currentSocket.on("drawing", handleRemoteDrawing);
     currentSocket.on("end-draw", handleRemoteEnd);
-    currentSocket.on("draw-text", handleRemoteText);
+    currentSocket.on("start-shape", handleRemoteShapeStart);
+    currentSocket.on("drawing-shape", handleRemoteShapeDrawing);
+    currentSocket.on("end-shape", handleRemoteShapeEnd);
+    currentSocket.on("user-left", handleUserLeft);
+    currentSocket.on("doc-update", handleRemoteUpdate);
 
     return () => {
       canvas.removeEventListener("pointerdown", handlePointerDown);
@@ -398,23 +1805,133 @@ export default function App() {
       window.removeEventListener("pointerup", stopDrawing);
       canvas.removeEventListener("pointercancel", stopDrawing);
       canvas.removeEventListener("pointerleave", stopDrawing);
+      canvas.removeEventListener("wheel", handleWheel);
+      canvas.removeEventListener("dblclick", handleDoubleClick);
       currentSocket.off("start-draw", handleRemoteStart);
       currentSocket.off("drawing", handleRemoteDrawing);
       currentSocket.off("end-draw", handleRemoteEnd);
-      currentSocket.off("draw-text", handleRemoteText);
+      currentSocket.off("start-shape", handleRemoteShapeStart);
+      currentSocket.off("drawing-shape", handleRemoteShapeDrawing);
+      currentSocket.off("end-shape", handleRemoteShapeEnd);
+      currentSocket.off("user-left", handleUserLeft);
+      currentSocket.off("doc-update", handleRemoteUpdate);
+      cancelAnimationFrame(strokeFrameRef.current);
+      strokeFrameRef.current = null;
     };
-  }, [joined, roomId, color, size, tool]);
+  }, [joined, roomId, color, size, tool, eraserMode, brushStyle, textStyle, noteFill]);
+
+  // Follow whoever starts presenting, and stop when they're done. Someone
+  // else starting takes over from this user.
+  useEffect(() => {
+    const presenter = getPresenter(members);
+    const previous = presenterRef.current;
+    presenterRef.current = presenter?.id || null;
+    if (presenterRef.current === previous) return;
+    if (previous && followingRef.current === previous) stopFollowing();
+    if (!presenter) return;
+    if (presenter.id === selfId) return;
+    if (presentingRef.current) {
+      presentingRef.current = false;
+      setPresenting(false);
+      emitLive("present", { roomId, presenting: false });
+    }
+    followMember(presenter);
+  }, [members, selfId]);
+
+  // Repaint once images on the board have loaded
+  useEffect(() => {
+    if (!joined) return;
+    setImageLoadListener(redraw);
+    return () => setImageLoadListener(null);
+  }, [joined]);
+
+  // Remote cursors
+  useEffect(() => {
+    if (!joined) return;
+    const currentSocket = getSocket();
+
+    const onCursorMove = (data) => {
+      if (!data?.userId) return;
+      const page = data.page || DEFAULT_PAGE_ID;
+      setCursors((prev) => ({
+        ...prev,
+        [data.userId]: { x: data.x, y: data.y, page, name: data.name, color: data.color, lastSeen: Date.now(), idle: false },
+      }));
+      // Go along when the person being followed changes page
+      if (data.userId === followingRef.current && page !== pageRef.current) {
+        if (getPages(objectsRef.current).some((candidate) => candidate.id === page)) {
+          goToPage(page, { follow: true });
+        }
+      }
+    };
+    const onViewport = (data) => {
+      if (data?.userId && data.userId === followingRef.current) followViewport(data);
+    };
+    const onLaser = (data) => {
+      if (!data?.userId) return;
+      addLaserPoint(data.userId, data.color || DEFAULT_LASER_COLOR, data.page || DEFAULT_PAGE_ID, data);
+    };
+    const onUserLeft = (data) => {
+      if (data?.userId === followingRef.current) stopFollowing();
+      setCursors((prev) => {
+        if (!prev[data?.userId]) return prev;
+        const next = { ...prev };
+        delete next[data.userId];
+        return next;
+      });
+    };
+    const idleTimer = setInterval(() => {
+      const now = Date.now();
+      setCursors((prev) => {
+        let changed = false;
+        const next = {};
+        Object.entries(prev).forEach(([userId, cursor]) => {
+          const idle = now - cursor.lastSeen > CURSOR_IDLE_MS;
+          changed = changed || idle !== cursor.idle;
+          next[userId] = idle === cursor.idle ? cursor : { ...cursor, idle };
+        });
+        return changed ? next : prev;
+      });
+    }, 1000);
+
+    currentSocket.on("cursor-move", onCursorMove);
+    currentSocket.on("viewport", onViewport);
+    currentSocket.on("laser", onLaser);
+    currentSocket.on("user-left", onUserLeft);
+    return () => {
+      clearInterval(idleTimer);
+      cancelAnimationFrame(laserFrameRef.current);
+      laserFrameRef.current = null;
+      lasersRef.current.clear();
+      currentSocket.off("cursor-move", onCursorMove);
+      currentSocket.off("viewport", onViewport);
+      currentSocket.off("laser", onLaser);
+      currentSocket.off("user-left", onUserLeft);
+      setCursors({});
+    };
+  }, [joined, roomId]);
 
   const handleJoin = () => {
     if (!roomId) { alert("Enter a room id first"); return; }
     setIsLoading(true);
+    setJoinError(null);
+    localStorage.setItem("whiteboard-name", userName.trim());
     
     const currentSocket = getSocket();
+    const joinPayload = {
+      roomId,
+      name: userName.trim(),
+      key: roomKey || undefined,
+      password: roomPassword || undefined,
+      ownerToken: getOwnerTokens()[roomId],
+    };
+    joinPayloadRef.current = joinPayload;
+    startDoc();
     
     // If socket is not connected, wait for connection before joining
     if (!currentSocket.connected) {
       const connectHandler = () => {
-        currentSocket.emit("join-room", roomId);
+        currentSocket.emit("join-room", joinPayload);
         setJoined(true);
         currentSocket.off("connect", connectHandler);
         setTimeout(() => { 
@@ -426,7 +1943,7 @@ export default function App() {
       currentSocket.on("connect", connectHandler);
       currentSocket.connect();
     } else {
-      currentSocket.emit("join-room", roomId);
+      currentSocket.emit("join-room", joinPayload);
       setJoined(true);
       setTimeout(() => { 
         resizeCanvas(); 
@@ -435,18 +1952,48 @@ export default function App() {
     }
   };
 
+  // Rooms are created on the server, which picks an unguessable id and makes
+  // this browser the owner
+  const createRoom = async () => {
+    setIsCreatingRoom(true);
+    try {
+      const res = await fetch(`${SOCKET_URL}/rooms`, { method: "POST" });
+      if (!res.ok) throw new Error(`Server responded ${res.status}`);
+      const room = await res.json();
+      saveOwnerToken(room.roomId, room.ownerToken);
+      setRoomId(room.roomId);
+      setRoomKey("");
+      setJoinError(null);
+    } catch (err) {
+      console.error("Failed to create room:", err);
+      alert("Could not create a room. Please try again.");
+    } finally {
+      setIsCreatingRoom(false);
+    }
+  };
+
+  const updateAccess = (changes) => {
+    getSocket().emit("update-access", { roomId, ...changes });
+  };
+
+  const copyShareLink = async (kind) => {
+    const key = kind === "viewer" ? roomAccess.viewerKey : roomAccess.editorKey;
+    try {
+      await navigator.clipboard.writeText(getShareLink(roomId, key));
+      setCopiedLink(kind);
+      setTimeout(() => setCopiedLink(null), 2000);
+    } catch (err) { console.error("Failed to copy:", err); }
+  };
+
+  // Clearing only empties the page in view once the board has pages
   const clearBoard = () => {
-    saveCanvas();
-    const ctx = ctxRef.current;
-    const canvas = canvasRef.current;
-    if (ctx) { ctx.clearRect(0, 0, canvas.width, canvas.height); }
-    // Clear text marker too
-    setShowTextMarker(false);
-    setIsPlacingText(false);
-    setTextInput("");
-    const currentSocket = getSocket();
-    currentSocket.emit("clear", roomId);
-    saveCanvas();
+    finishTextEdit();
+    if (objectsRef.current.some((obj) => obj.type === "page")) {
+      const ids = getCurrentPageObjects().map((obj) => obj.id);
+      if (ids.length > 0) commitOp({ type: "remove", ids });
+    } else {
+      commitOp({ type: "clear" });
+    }
   };
 
   const copyRoomId = async () => {
@@ -459,17 +2006,141 @@ export default function App() {
 
   useEffect(() => {
     const currentSocket = getSocket();
+    // The board was deleted, so its document goes with it. Changes only
+    // count once the room has been joined again, on the new document.
     const onClear = (room) => {
       if (room !== roomId) return;
-      const ctx = ctxRef.current;
-      const canvas = canvasRef.current;
-      if (ctx) ctx.clearRect(0, 0, canvas.width, canvas.height);
-      saveCanvas();
+      startDoc();
+      applyOp({ type: "clear" });
+      roomReadyRef.current = false;
+      setSyncStatus("syncing");
+      currentSocket.emit("join-room", joinPayloadRef.current);
+    };
+    const onRoomState = (state) => {
+      if (!state || state.roomId !== roomId) return;
+      // Merge in what the room has that this copy doesn't, then send back
+      // what the room hasn't seen: whatever this user did while away, or
+      // before the room had loaded. Both sides end up with the same board
+      // however their changes overlap. A copy of a board that has since been
+      // deleted is dropped instead, along with everything done to it.
+      if (docGenerationRef.current && state.generation !== docGenerationRef.current) {
+        startDoc();
+        rejoiningRef.current = false;
+      }
+      docGenerationRef.current = state.generation || null;
+      const doc = docRef.current;
+      applyRemoteUpdate(doc, state.update);
+      objectsRef.current = readObjects(doc, objectsRef.current);
+      refreshPages();
+      roomReadyRef.current = true;
+      const pending = pendingUpdatesRef.current;
+      pendingUpdatesRef.current = [];
+      const missing = getMissingUpdate(doc, state.stateVector);
+      if (missing && missing.length <= MAX_CATCH_UP) {
+        emitDocUpdate(currentSocket, roomId, missing);
+      } else {
+        // Too much to send at once, so send this user's changes instead,
+        // merged into as few updates as fit: each one counts against the
+        // server's rate limit
+        batchUpdates(pending, (MAX_CATCH_UP * 3) / 4).forEach((update) =>
+          emitDocUpdate(currentSocket, roomId, encodeUpdate(update))
+        );
+      }
+      setPendingCount(0);
+      setSyncStatus("synced");
+      // Undo keeps working across a reconnect
+      if (!rejoiningRef.current) {
+        resetHistory();
+      }
+      rejoiningRef.current = false;
+      const existing = new Set(objectsRef.current.map((obj) => obj.id));
+      selectedIdsRef.current = selectedIdsRef.current.filter((id) => existing.has(id));
+      setSelectedIds(selectedIdsRef.current);
+      setSelfId(state.self?.id || null);
+      const nextRole = state.self?.role || "editor";
+      setRole(nextRole);
+      readOnlyRef.current = nextRole === "viewer";
+      if (readOnlyRef.current) {
+        setTool(TOOLS.SELECT);
+        updateSelection([]);
+        // Only editors present
+        presentingRef.current = false;
+        setPresenting(false);
+      }
+      setRoomAccess(state.access || null);
+      selfColorRef.current = state.self?.color || DEFAULT_LASER_COLOR;
+      announcePage();
+      // The server forgets presenters who drop out; pick up where this left off
+      if (presentingRef.current) {
+        emitLive("present", { roomId, presenting: true });
+        shareViewport();
+      }
+      redraw();
+    };
+    const onJoinError = (data) => {
+      if (!data || data.roomId !== roomId) return;
+      // Whatever was queued can't be delivered without getting back in
+      pendingUpdatesRef.current = [];
+      setPendingCount(0);
+      setJoined(false);
+      setIsLoading(false);
+      setJoinError(data);
+    };
+    const onRoomAccess = (data) => {
+      if (!data || data.roomId !== roomId) return;
+      setRoomAccess(data.access);
+    };
+    const onRoomUsers = (data) => {
+      if (!data || data.roomId !== roomId) return;
+      setMembers(data.users || []);
     };
     currentSocket.on("clear", onClear);
-    return () => currentSocket.off("clear", onClear);
+    currentSocket.on("room-state", onRoomState);
+    currentSocket.on("join-error", onJoinError);
+    currentSocket.on("room-access", onRoomAccess);
+    currentSocket.on("room-users", onRoomUsers);
+    return () => {
+      currentSocket.off("clear", onClear);
+      currentSocket.off("room-state", onRoomState);
+      currentSocket.off("join-error", onJoinError);
+      currentSocket.off("room-access", onRoomAccess);
+      currentSocket.off("room-users", onRoomUsers);
+    };
   }, [roomId]);
 
+  // The server forgets which room a socket was in when the connection drops,
+  // so rejoin as soon as it's back. Anything drawn meanwhile was queued and
+  // goes out once the room state arrives.
+  useEffect(() => {
+    if (!joined) return;
+    const currentSocket = getSocket();
+    // Only what happened since this copy of the board last heard from the
+    // room comes back
+    const handleConnect = () => {
+      rejoiningRef.current = true;
+      setSyncStatus("syncing");
+      currentSocket.emit("join-room", {
+        ...joinPayloadRef.current,
+        stateVector: getStateVector(docRef.current),
+        generation: docGenerationRef.current || undefined,
+      });
+    };
+    const handleDisconnect = () => {
+      roomReadyRef.current = false;
+      setSyncStatus("offline");
+      // Others' strokes in progress will never be finished now
+      remoteDraftsRef.current.clear();
+      redraw();
+    };
+    currentSocket.on("connect", handleConnect);
+    currentSocket.on("disconnect", handleDisconnect);
+    return () => {
+      currentSocket.off("connect", handleConnect);
+      currentSocket.off("disconnect", handleDisconnect);
+      roomReadyRef.current = false;
+    };
+  }, [joined]);
+
   // Keyboard shortcuts
   useEffect(() => {
     if (!joined) return;
@@ -477,34 +2148,137 @@ export default function App() {
     const handleKeyDown = (e) => {
       if (e.target.tagName === "INPUT" || e.target.tagName === "TEXTAREA") return;
       
+      // Holding space turns dragging into panning
+      if (e.key === " ") {
+        e.preventDefault();
+        if (!spaceHeldRef.current) {
+          spaceHeldRef.current = true;
+          setSpaceHeld(true);
+        }
+        return;
+      }
+      
       const key = e.key.toLowerCase();
-      if (KEYBOARD_SHORTCUTS[key]) {
-        const action = KEYBOARD_SHORTCUTS[key];
+      // Ctrl (Cmd on macOS) combos are looked up as "mod+[shift+]key"
+      const combo = e.ctrlKey || e.metaKey ? `mod+${e.shiftKey ? "shift+" : ""}${key}` : key;
+      if (KEYBOARD_SHORTCUTS[combo]) {
+        const action = KEYBOARD_SHORTCUTS[combo];
+        if (!canEditBoard() && !VIEW_ACTIONS.includes(action)) return;
+        if (combo.startsWith("mod+")) {
+          e.preventDefault();
+        }
         if (Object.values(TOOLS).includes(action)) {
-          setTool(action);
+          changeTool(action);
         } else if (action === "undo") {
           handleUndo();
+        } else if (action === "redo") {
+          handleRedo();
         } else if (action === "export") {
           handleExport();
+        } else if (action === "fit") {
+          zoomToFit();
+        } else if (action === "history") {
+          toggleHistory();
+        } else if (action === "previous-page" || action === "next-page") {
+          e.preventDefault();
+          goToAdjacentPage(action === "next-page" ? 1 : -1);
+        } else if (action === "delete") {
+          e.preventDefault();
+          deleteSelection();
+        } else if (action === "duplicate") {
+          duplicateSelection();
+        } else if (action === "deselect") {
+          updateSelection([]);
         }
       }
     };
     
+    const handleKeyUp = (e) => {
+      if (e.key === " ") {
+        spaceHeldRef.current = false;
+        setSpaceHeld(false);
+      }
+    };
+    
+    // Pasted images land in the middle of the view
+    const handlePaste = (e) => {
+      if (!canEditBoard() || e.target.tagName === "INPUT" || e.target.tagName === "TEXTAREA") return;
+      const files = [...(e.clipboardData?.files || [])].filter(isImageFile);
+      if (files.length > 0) {
+        e.preventDefault();
+        importFiles(files);
+      }
+    };
+    
     window.addEventListener("keydown", handleKeyDown);
-    return () => window.removeEventListener("keydown", handleKeyDown);
+    window.addEventListener("keyup", handleKeyUp);
+    window.addEventListener("paste", handlePaste);
+    return () => {
+      window.removeEventListener("keydown", handleKeyDown);
+      window.removeEventListener("keyup", handleKeyUp);
+      window.removeEventListener("paste", handlePaste);
+    };
   }, [joined]);
 
   const getTooltipContent = (item) => {
     const tooltips = {
-      "brush": "Brush (B)", "eraser": "Eraser (E)", "text": "Text (T)",
+      "select": "Select (V)", "brush": "Brush (B)", "eraser": "Eraser (E)", "text": "Text (T)",
       "line": "Line (L)", "rectangle": "Rectangle (R)", "circle": "Circle (C)",
-      "arrow": "Arrow (A)", "undo": "Undo (Z)", "export": "Export (S)",
+      "arrow": "Arrow (A)", "note": "Sticky note (N)", "connector": "Connector (K)", "laser": "Laser pointer (P)", "undo": "Undo (Ctrl+Z)", "redo": "Redo (Ctrl+Shift+Z)", "export": "Export (S)", "history": "Version history (H)",
       "theme": darkMode ? "Light Mode" : "Dark Mode",
       "collapse": toolbarCollapsed ? "Expand" : "Collapse",
     };
     return tooltips[item] || item;
   };
 
+  // The text editor covers the text's lines, with room for the next
+  // character, or the whole of a note
+  const getTextEditorStyle = (object) => {
+    const { fontSize, align = "left" } = object.style;
+    const { zoom } = viewport;
+    if (object.type === "note") {
+      const corner = worldToScreen(viewport, object.x, object.y);
+      return {
+        left: corner.x,
+        top: corner.y,
+        width: object.width * zoom,
+        height: object.height * zoom,
+        padding: NOTE_PADDING * zoom,
+        boxSizing: "border-box",
+        borderRadius: 6 * zoom,
+        background: object.style.fill,
+        font: getTextFont(object.style, fontSize * zoom),
+        lineHeight: TEXT_LINE_HEIGHT,
+        color: object.style.color,
+        textAlign: align,
+        whiteSpace: "pre-wrap",
+        overflowWrap: "anywhere",
+      };
+    }
+    const width = (measureText(object) + fontSize) * zoom;
+    const corner = worldToScreen(viewport, object.x, object.y - fontSize);
+    return {
+      left: align === "center" ? corner.x - width / 2 : align === "right" ? corner.x - width : corner.x,
+      top: corner.y,
+      width,
+      height: object.text.split("\n").length * fontSize * TEXT_LINE_HEIGHT * zoom,
+      font: getTextFont(object.style, fontSize * zoom),
+      lineHeight: TEXT_LINE_HEIGHT,
+      color: object.style.color,
+      textAlign: align,
+    };
+  };
+
+  const isTextActive = tool === TOOLS.TEXT || tool === TOOLS.NOTE || Boolean(editingText);
+  const isNoteActive = tool === TOOLS.NOTE || editingText?.type === "note";
+  const hasSelection = tool === TOOLS.SELECT && selectedIds.length > 0;
+  const presenter = getPresenter(members);
+  const followingName = members.find((member) => member.id === followingId)?.name || "someone";
+  const isReadOnly = role === "viewer";
+  const canEdit = !isReadOnly && !showHistory;
+  // Embeds of private rooms need a key; only ever hand out a viewer one
+  const embedKey = roomAccess?.viewerKey || (isReadOnly ? roomKey : "");
+
   return (
     <div className="app-root">
       {/* Splash Screen */}
@@ -531,14 +2305,23 @@ export default function App() {
           </div>
           <h1>Realtime Whiteboard</h1>
           <p className="join-card__subtitle">Create or join a room to collaborate</p>
+          <div className="join-card__input-wrapper join-card__input-wrapper--stacked">
+            <input placeholder="Your name" maxLength={32} value={userName} onChange={(e) => setUserName(e.target.value)} />
+          </div>
           <div className="join-card__input-wrapper">
-            <input placeholder="Enter Room ID" value={roomId} onChange={(e) => setRoomId(e.target.value)} onKeyDown={(e) => e.key === "Enter" && handleJoin()} />
+            <input placeholder="Enter Room ID" value={roomId} onChange={(e) => { setRoomId(e.target.value); setRoomKey(""); setJoinError(null); }} onKeyDown={(e) => e.key === "Enter" && handleJoin()} />
           </div>
+          {(joinError?.reason === "password-required" || joinError?.reason === "wrong-password") && (
+            <div className="join-card__input-wrapper join-card__input-wrapper--stacked">
+              <input type="password" placeholder="Room password" value={roomPassword} onChange={(e) => setRoomPassword(e.target.value)} onKeyDown={(e) => e.key === "Enter" && handleJoin()} autoFocus />
+            </div>
+          )}
+          {joinError && <p className="join-card__error">{joinError.message}</p>}
           <div className="row">
             <button className="join-card__btn--primary" onClick={handleJoin} disabled={isLoading}>
               {isLoading ? <><span className="spinner"></span>Joining...</> : "Join Room"}
             </button>
-            <button className="join-card__btn--secondary" onClick={() => setRoomId("room-" + Math.random().toString(36).slice(2, 8))}>New Room</button>
+            <button className="join-card__btn--secondary" onClick={createRoom} disabled={isCreatingRoom}>{isCreatingRoom ? "Creating..." : "New Room"}</button>
           </div>
         </div>
       )}
@@ -553,16 +2336,27 @@ export default function App() {
             </svg>
             {showFab && (
               <div className="fab__menu">
+                {canEdit && (
+                  <button className="fab__menu-item" onClick={(e) => { e.stopPropagation(); importInputRef.current?.click(); }} title="Import images or a board file">
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2"><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4" /><polyline points="17 8 12 3 7 8" /><line x1="12" y1="3" x2="12" y2="15" /></svg>
+                  </button>
+                )}
+                <button className="fab__menu-item" onClick={(e) => { e.stopPropagation(); toggleHistory(); }} title="Version history">
+                  <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2"><circle cx="12" cy="12" r="10" /><polyline points="12 6 12 12 16 14" /></svg>
+                </button>
                 <button className="fab__menu-item" onClick={(e) => { e.stopPropagation(); handleExport(); }} title="Export">
                   <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2"><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4" /><polyline points="7 10 12 15 17 10" /><line x1="12" y1="15" x2="12" y2="3" /></svg>
                 </button>
-                <button className="fab__menu-item fab__menu-item--danger" onClick={(e) => { e.stopPropagation(); clearBoard(); }} title="Clear">
-                  <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2"><polyline points="3 6 5 6 21 6" /><path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2" /></svg>
-                </button>
+                {canEdit && (
+                  <button className="fab__menu-item fab__menu-item--danger" onClick={(e) => { e.stopPropagation(); clearBoard(); }} title="Clear">
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2"><polyline points="3 6 5 6 21 6" /><path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2" /></svg>
+                  </button>
+                )}
               </div>
             )}
           </div>
           )}
+          <input ref={importInputRef} type="file" accept={[...IMAGE_TYPES, ".json", "application/json"].join(",")} multiple hidden onChange={handleImportPick} />
 
           {/* Toolbar */}
           <div className={`toolbar-card ${toolbarCollapsed ? 'toolbar-card--collapsed' : ''}`}>
@@ -592,124 +2386,456 @@ export default function App() {
 
             {!toolbarCollapsed && (
               <>
-                <div className={`toolbar-card__status toolbar-card__status--${connectionStatus}`}>
+                <div className={`toolbar-card__status toolbar-card__status--${connectionStatus === "connected" && syncStatus === "syncing" ? "syncing" : connectionStatus}`}>
                   <span className="toolbar-card__status-dot"></span>
-                  <span>{connectionStatus === "connected" ? "Connected" : "Disconnected"}</span>
+                  <span>{connectionStatus !== "connected" ? "Disconnected" : syncStatus === "syncing" ? "Syncing..." : "Connected"}</span>
+                  {pendingCount > 0 && (
+                    <span className="toolbar-card__sync" title="Saved on this device and sent once you're back online">
+                      · {pendingCount} unsynced {pendingCount === 1 ? "change" : "changes"}
+                    </span>
+                  )}
                 </div>
                 
                 <div className="toolbar-card__section">
-                  <span className="toolbar-card__section-label">Drawing Tools</span>
-                  <div className="tool-buttons">
-                    {["brush", "eraser", "text", "undo", "export"].map((t) => {
-                      const toolKey = TOOLS[t.toUpperCase()];
-                      return (
-                        <div className="tool-btn-wrapper" key={t}>
-                          <button className={`tool-btn ${tool === toolKey ? 'tool-btn--active' : ''}`} onClick={(e) => { e.stopPropagation(); t === "undo" ? handleUndo() : t === "export" ? handleExport() : setTool(toolKey); }} disabled={t === "undo" && !canUndo}
-                            onMouseEnter={() => setShowTooltip(t)} onMouseLeave={() => setShowTooltip(null)}>
-                            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                              {t === "brush" && <><path d="M12 19l7-7 3 3-7 7-3-3z" /><path d="M18 13l-1.5-7.5L2 2l3.5 14.5L13 18l5-5z" /></>}
-                              {t === "eraser" && <><path d="M20 20H7L3 16c-.6-.6-.6-1.5 0-2.1L13.1 3.8c.6-.6 1.5-.6 2.1 0l5.7 5.7c.6.6.6 1.5 0 2.1L13 19.5" /></>}
-                              {t === "text" && <><polyline points="4 7 4 4 20 4 20 7" /><line x1="9" y1="20" x2="15" y2="20" /><line x1="12" y1="4" x2="12" y2="20" /></>}
-                              {t === "undo" && <><path d="M3 7v6h6" /><path d="M21 17a9 9 0 0 0-9-9 9 9 0 0 0-6 2.3L3 13" /></>}
-                              {t === "export" && <><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4" /><polyline points="7 10 12 15 17 10" /><line x1="12" y1="15" x2="12" y2="3" /></>}
-                            </svg>
+                  <span className="toolbar-card__section-label">Participants ({members.length})</span>
+                  <ul className="participant-list">
+                    {members.map((member) => (
+                      <li className="participant" key={member.id}>
+                        <span className="participant__avatar" style={{ backgroundColor: member.color }}>{getInitials(member.name)}</span>
+                        <span className="participant__name">{member.name}</span>
+                        {member.role === "viewer" && <span className="participant__role">Viewer</span>}
+                        {member.id === presenter?.id && <span className="participant__role participant__role--presenting">Presenting</span>}
+                        {member.id === selfId && <span className="participant__you">You</span>}
+                        {member.id !== selfId && (
+                          <button className={`participant__follow ${followingId === member.id ? 'participant__follow--active' : ''}`}
+                            onClick={() => (followingId === member.id ? stopFollowing() : followMember(member))}
+                            title={followingId === member.id ? "Stop following" : `Go where ${member.name} goes`}>
+                            {followingId === member.id ? "Following" : "Follow"}
                           </button>
-                          {showTooltip === t && <div className="tooltip">{getTooltipContent(t)}</div>}
-                        </div>
-                      );
-                    })}
-                  </div>
+                        )}
+                      </li>
+                    ))}
+                  </ul>
                 </div>
 
-                <div className="toolbar-card__section">
-                  <span className="toolbar-card__section-label">Shapes</span>
-                  <div className="tool-buttons">
-                    {["line", "rectangle", "circle", "arrow"].map((t) => {
-                      const toolKey = TOOLS[t.toUpperCase()];
-                      return (
-                        <div className="tool-btn-wrapper" key={t}>
-                          <button className={`tool-btn ${tool === toolKey ? 'tool-btn--active' : ''}`} onClick={() => setTool(toolKey)}
-                            onMouseEnter={() => setShowTooltip(t)} onMouseLeave={() => setShowTooltip(null)}>
-                            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                              {t === "line" && <line x1="5" y1="19" x2="19" y2="5" />}
-                              {t === "rectangle" && <rect x="3" y="3" width="18" height="18" rx="2" />}
-                              {t === "circle" && <circle cx="12" cy="12" r="10" />}
-                              {t === "arrow" && <><line x1="5" y1="19" x2="19" y2="5" /><polyline points="10 5 19 5 19 14" /></>}
-                            </svg>
+                {!isReadOnly && (
+                  <div className="toolbar-card__section">
+                    <span className="toolbar-card__section-label">Present</span>
+                    <div className="present-controls">
+                      <button className={`present-controls__btn ${presenting ? 'present-controls__btn--active' : ''}`} onClick={togglePresenting}>
+                        {presenting ? "Stop presenting" : "Start presenting"}
+                      </button>
+                      {canEdit && (
+                        <div className="tool-btn-wrapper">
+                          <button className={`tool-btn ${tool === TOOLS.LASER ? 'tool-btn--active' : ''}`} onClick={() => changeTool(TOOLS.LASER)}
+                            onMouseEnter={() => setShowTooltip("laser")} onMouseLeave={() => setShowTooltip(null)}>
+                            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2"><circle cx="12" cy="12" r="3" /><path d="M12 2v3M12 19v3M2 12h3M19 12h3M4.9 4.9l2.1 2.1M17 17l2.1 2.1M4.9 19.1L7 17M17 7l2.1-2.1" /></svg>
                           </button>
-                          {showTooltip === t && <div className="tooltip">{getTooltipContent(t)}</div>}
+                          {showTooltip === "laser" && <div className="tooltip">{getTooltipContent("laser")}</div>}
                         </div>
-                      );
-                    })}
+                      )}
+                    </div>
+                    <p className="toolbar-card__note">
+                      {presenting ? "Everyone follows your view until they pan or zoom away." : "Others follow your view and pages while you present."}
+                    </p>
                   </div>
-                </div>
+                )}
 
-                {(tool === TOOLS.BRUSH || tool === TOOLS.ERASER || [TOOLS.LINE, TOOLS.RECTANGLE, TOOLS.CIRCLE, TOOLS.ARROW].includes(tool)) && (
+                {roomAccess && (
                   <div className="toolbar-card__section">
-                    <span className="toolbar-card__section-label">{tool === TOOLS.ERASER ? 'Eraser Size' : 'Stroke Size'}</span>
-                    <div className="size-control">
-                      <div className="size-preview"><div className="size-preview__circle" style={{ width: Math.min(tool === TOOLS.ERASER ? size * 3 : size, 24), height: Math.min(tool === TOOLS.ERASER ? size * 3 : size, 24) }} /></div>
-                      <input type="range" min="1" max="30" value={size} onChange={(e) => setSize(Number(e.target.value))} />
-                      <span className="size-value">{size}</span>
+                    <span className="toolbar-card__section-label">Sharing</span>
+                    <div className="share-panel">
+                      <div className="share-panel__links">
+                        <button className="share-panel__btn" onClick={() => copyShareLink("editor")}>{copiedLink === "editor" ? "Copied!" : "Copy editor link"}</button>
+                        <button className="share-panel__btn" onClick={() => copyShareLink("viewer")}>{copiedLink === "viewer" ? "Copied!" : "Copy viewer link"}</button>
+                      </div>
+                      <label className="share-panel__option">
+                        <input type="checkbox" checked={roomAccess.private} onChange={(e) => updateAccess({ private: e.target.checked })} />
+                        Only people with a link can join
+                      </label>
+                      <div className="share-panel__password">
+                        <input type="password" placeholder={roomAccess.hasPassword ? "New password" : "Set a password"} value={newPassword} onChange={(e) => setNewPassword(e.target.value)} />
+                        <button className="share-panel__btn" onClick={() => { updateAccess({ password: newPassword }); setNewPassword(""); }} disabled={!newPassword}>Set</button>
+                        {roomAccess.hasPassword && <button className="share-panel__btn" onClick={() => updateAccess({ password: null })}>Remove</button>}
+                      </div>
+                      <button className="share-panel__btn share-panel__btn--subtle" onClick={() => updateAccess({ resetLinks: true })} title="Old links stop working for anyone who hasn't joined yet">Reset links</button>
                     </div>
                   </div>
                 )}
 
-                {tool === TOOLS.TEXT && (
+                {isReadOnly && (
                   <div className="toolbar-card__section">
-                    <span className="toolbar-card__section-label">{isPlacingText ? "Type below & press Enter" : "Click canvas to place text"}</span>
-                    <input type="text" className="text-tool-input" value={textInput} onChange={(e) => setTextInput(e.target.value)}
-                      onKeyDown={(e) => {
-                        if (e.key === "Enter" && textInput.trim() && textPosition.x && textPosition.y) {
-                          const canvas = canvasRef.current;
-                          const ctx = ctxRef.current;
-                          if (canvas && ctx) {
-                            const dpr = window.devicePixelRatio || 1;
-                            ctx.font = `${size * 4}px Inter, sans-serif`;
-                            ctx.fillStyle = color;
-                            ctx.fillText(textInput, textPosition.x * dpr, textPosition.y * dpr);
-                            saveCanvas();
-                            const currentSocket = getSocket();
-                            currentSocket.emit("draw-text", { roomId, text: textInput, x: textPosition.x * dpr, y: textPosition.y * dpr, color, fontSize: size * 4 });
-                            setTextInput("");
-                            setIsPlacingText(false);
-                          }
-                        }
-                      }}
-                      placeholder={isPlacingText ? "Type here..." : "Click canvas first..."} disabled={!isPlacingText} onFocus={() => setShowTextMarker(true)} />
+                    <span className="toolbar-card__section-label">View only</span>
+                    <p className="toolbar-card__note">You can look around and export, but not change this board. Drag to pan.</p>
                   </div>
                 )}
 
-                {(tool === TOOLS.TEXT || tool === TOOLS.BRUSH || [TOOLS.LINE, TOOLS.RECTANGLE, TOOLS.CIRCLE, TOOLS.ARROW].includes(tool)) && (
+                {!isReadOnly && showHistory && (
                   <div className="toolbar-card__section">
-                    <span className="toolbar-card__section-label">Color</span>
-                    <div className="color-palette">
-                      {PRESET_COLORS.map((c) => (<button key={c} className={`color-swatch ${color === c ? 'color-swatch--active' : ''}`} style={{ backgroundColor: c }} onClick={() => { setColor(c); setShowCustomColor(false); }} />))}
-                      <button className={`color-swatch color-swatch--custom ${showCustomColor ? 'color-swatch--active' : ''}`} onClick={() => setShowCustomColor(!showCustomColor)}>
-                        <input type="color" value={color} onChange={(e) => { setColor(e.target.value); setShowCustomColor(true); }} />
-                      </button>
-                    </div>
+                    <span className="toolbar-card__section-label">Version history</span>
+                    <p className="toolbar-card__note">You're looking at an earlier version. Close the history to keep editing.</p>
                   </div>
                 )}
 
-                <div className="toolbar-card__section">
-                  <button className="clear-btn" onClick={clearBoard}>Clear Board</button>
-                </div>
+                {canEdit && (
+                  <>
+                    <div className="toolbar-card__section">
+                      <span className="toolbar-card__section-label">Drawing Tools</span>
+                      <div className="tool-buttons">
+                        {["select", "brush", "eraser", "text", "undo", "redo", "export", "history"].map((t) => {
+                          const toolKey = TOOLS[t.toUpperCase()];
+                          return (
+                            <div className="tool-btn-wrapper" key={t}>
+                              <button className={`tool-btn ${tool === toolKey ? 'tool-btn--active' : ''}`} onClick={(e) => { e.stopPropagation(); t === "undo" ? handleUndo() : t === "redo" ? handleRedo() : t === "export" ? handleExport() : t === "history" ? toggleHistory() : changeTool(toolKey); }} disabled={(t === "undo" && !canUndo) || (t === "redo" && !canRedo)}
+                                onMouseEnter={() => setShowTooltip(t)} onMouseLeave={() => setShowTooltip(null)}>
+                                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                  {t === "select" && <path d="M4 3l7 17 2.5-7.5L21 10z" />}
+                                  {t === "brush" && <><path d="M12 19l7-7 3 3-7 7-3-3z" /><path d="M18 13l-1.5-7.5L2 2l3.5 14.5L13 18l5-5z" /></>}
+                                  {t === "eraser" && <><path d="M20 20H7L3 16c-.6-.6-.6-1.5 0-2.1L13.1 3.8c.6-.6 1.5-.6 2.1 0l5.7 5.7c.6.6.6 1.5 0 2.1L13 19.5" /></>}
+                                  {t === "text" && <><polyline points="4 7 4 4 20 4 20 7" /><line x1="9" y1="20" x2="15" y2="20" /><line x1="12" y1="4" x2="12" y2="20" /></>}
+                                  {t === "undo" && <><path d="M3 7v6h6" /><path d="M21 17a9 9 0 0 0-9-9 9 9 0 0 0-6 2.3L3 13" /></>}
+                                  {t === "redo" && <><path d="M21 7v6h-6" /><path d="M3 17a9 9 0 0 1 9-9 9 9 0 0 1 6 2.3L21 13" /></>}
+                                  {t === "export" && <><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4" /><polyline points="7 10 12 15 17 10" /><line x1="12" y1="15" x2="12" y2="3" /></>}
+                                  {t === "history" && <><circle cx="12" cy="12" r="10" /><polyline points="12 6 12 12 16 14" /></>}
+                                </svg>
+                              </button>
+                              {showTooltip === t && <div className="tooltip">{getTooltipContent(t)}</div>}
+                            </div>
+                          );
+                        })}
+                      </div>
+                    </div>
+
+                    <div className="toolbar-card__section">
+                      <span className="toolbar-card__section-label">Shapes</span>
+                      <div className="tool-buttons">
+                        {["line", "rectangle", "circle", "arrow"].map((t) => {
+                          const toolKey = TOOLS[t.toUpperCase()];
+                          return (
+                            <div className="tool-btn-wrapper" key={t}>
+                              <button className={`tool-btn ${tool === toolKey ? 'tool-btn--active' : ''}`} onClick={() => changeTool(toolKey)}
+                                onMouseEnter={() => setShowTooltip(t)} onMouseLeave={() => setShowTooltip(null)}>
+                                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                  {t === "line" && <line x1="5" y1="19" x2="19" y2="5" />}
+                                  {t === "rectangle" && <rect x="3" y="3" width="18" height="18" rx="2" />}
+                                  {t === "circle" && <circle cx="12" cy="12" r="10" />}
+                                  {t === "arrow" && <><line x1="5" y1="19" x2="19" y2="5" /><polyline points="10 5 19 5 19 14" /></>}
+                                </svg>
+                              </button>
+                              {showTooltip === t && <div className="tooltip">{getTooltipContent(t)}</div>}
+                            </div>
+                          );
+                        })}
+                      </div>
+                    </div>
+
+                    <div className="toolbar-card__section">
+                      <span className="toolbar-card__section-label">Diagram</span>
+                      <div className="tool-buttons">
+                        {["note", "connector"].map((t) => {
+                          const toolKey = TOOLS[t.toUpperCase()];
+                          return (
+                            <div className="tool-btn-wrapper" key={t}>
+                              <button className={`tool-btn ${tool === toolKey ? 'tool-btn--active' : ''}`} onClick={() => changeTool(toolKey)}
+                                onMouseEnter={() => setShowTooltip(t)} onMouseLeave={() => setShowTooltip(null)}>
+                                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                  {t === "note" && <><path d="M4 4h16v11l-5 5H4z" /><polyline points="20 15 15 15 15 20" /></>}
+                                  {t === "connector" && <><rect x="2" y="3" width="7" height="7" rx="1" /><rect x="15" y="14" width="7" height="7" rx="1" /><path d="M9 6.5h4a2 2 0 0 1 2 2V14" /><polyline points="12 11 15 14 18 11" /></>}
+                                </svg>
+                              </button>
+                              {showTooltip === t && <div className="tooltip">{getTooltipContent(t)}</div>}
+                            </div>
+                          );
+                        })}
+                      </div>
+                    </div>
+
+                    {hasSelection && (
+                      <div className="toolbar-card__section">
+                        <span className="toolbar-card__section-label">Selection ({selectedIds.length})</span>
+                        <div className="selection-actions">
+                          <button className="selection-actions__btn" onClick={duplicateSelection} title="Duplicate (Ctrl+D)">Duplicate</button>
+                          <button className="selection-actions__btn selection-actions__btn--danger" onClick={deleteSelection} title="Delete (Del)">Delete</button>
+                        </div>
+                      </div>
+                    )}
+
+                    {tool === TOOLS.BRUSH && (
+                      <div className="toolbar-card__section">
+                        <span className="toolbar-card__section-label">Brush</span>
+                        <div className="eraser-modes">
+                          <button className={`eraser-modes__btn ${brushStyle === "pen" ? 'eraser-modes__btn--active' : ''}`} onClick={() => setBrushStyle("pen")} title="Smooth ink that follows pen pressure, or your speed">Pen</button>
+                          <button className={`eraser-modes__btn ${brushStyle === "highlighter" ? 'eraser-modes__btn--active' : ''}`} onClick={() => setBrushStyle("highlighter")} title="Wide, see-through marker">Highlighter</button>
+                          <button className={`eraser-modes__btn ${brushStyle === "dashed" ? 'eraser-modes__btn--active' : ''}`} onClick={() => setBrushStyle("dashed")} title="Dashed line">Dashed</button>
+                        </div>
+                      </div>
+                    )}
+
+                    {tool === TOOLS.ERASER && (
+                      <div className="toolbar-card__section">
+                        <span className="toolbar-card__section-label">Eraser Mode</span>
+                        <div className="eraser-modes">
+                          <button className={`eraser-modes__btn ${eraserMode === "pixel" ? 'eraser-modes__btn--active' : ''}`} onClick={() => setEraserMode("pixel")} title="Rub out whatever the eraser passes over">Pixel</button>
+                          <button className={`eraser-modes__btn ${eraserMode === "object" ? 'eraser-modes__btn--active' : ''}`} onClick={() => setEraserMode("object")} title="Delete whole strokes, shapes and text the eraser touches">Object</button>
+                        </div>
+                      </div>
+                    )}
+
+                    {(hasSelection || isTextActive || tool === TOOLS.BRUSH || tool === TOOLS.ERASER || [TOOLS.LINE, TOOLS.RECTANGLE, TOOLS.CIRCLE, TOOLS.ARROW, TOOLS.CONNECTOR].includes(tool)) && (
+                      <div className="toolbar-card__section">
+                        <span className="toolbar-card__section-label">{tool === TOOLS.ERASER ? 'Eraser Size' : isTextActive ? 'Text Size' : 'Stroke Size'}</span>
+                        <div className="size-control">
+                          <div className="size-preview"><div className="size-preview__circle" style={{ width: Math.min(tool === TOOLS.ERASER ? size * 3 : size, 24), height: Math.min(tool === TOOLS.ERASER ? size * 3 : size, 24) }} /></div>
+                          <input type="range" min="1" max="30" value={size} onChange={(e) => handleSizeChange(Number(e.target.value))} />
+                          <span className="size-value">{size}</span>
+                        </div>
+                      </div>
+                    )}
+
+                    {(hasSelection || isNoteActive) && (
+                      <div className="toolbar-card__section">
+                        <span className="toolbar-card__section-label">Note Color</span>
+                        <div className="color-palette">
+                          {NOTE_COLORS.map((c) => (<button key={c} className={`color-swatch ${noteFill === c ? 'color-swatch--active' : ''}`} style={{ backgroundColor: c }} onClick={() => handleNoteFillChange(c)} />))}
+                        </div>
+                      </div>
+                    )}
+
+                    {(hasSelection || isTextActive) && (
+                      <div className="toolbar-card__section">
+                        <span className="toolbar-card__section-label">Text</span>
+                        {/* Buttons don't take focus, so typing carries on in the text being edited */}
+                        <div className="text-styles" onMouseDown={(e) => e.preventDefault()}>
+                          {TEXT_FONT_OPTIONS.map(({ value, label }) => (
+                            <button key={value} className={`text-styles__btn ${textStyle.fontFamily === value ? 'text-styles__btn--active' : ''}`} onClick={() => handleTextStyleChange({ fontFamily: value })}>{label}</button>
+                          ))}
+                        </div>
+                        <div className="text-styles" onMouseDown={(e) => e.preventDefault()}>
+                          <button className={`text-styles__btn ${textStyle.bold ? 'text-styles__btn--active' : ''}`} onClick={() => handleTextStyleChange({ bold: !textStyle.bold })} title="Bold"><strong>B</strong></button>
+                          <button className={`text-styles__btn ${textStyle.italic ? 'text-styles__btn--active' : ''}`} onClick={() => handleTextStyleChange({ italic: !textStyle.italic })} title="Italic"><em>I</em></button>
+                          {["left", "center", "right"].map((align) => (
+                            <button key={align} className={`text-styles__btn ${textStyle.align === align ? 'text-styles__btn--active' : ''}`} onClick={() => handleTextStyleChange({ align })} title={`Align ${align}`}>{{ left: "⇤", center: "↔", right: "⇥" }[align]}</button>
+                          ))}
+                        </div>
+                      </div>
+                    )}
+
+                    {(hasSelection || isTextActive || tool === TOOLS.BRUSH || [TOOLS.LINE, TOOLS.RECTANGLE, TOOLS.CIRCLE, TOOLS.ARROW, TOOLS.CONNECTOR].includes(tool)) && (
+                      <div className="toolbar-card__section">
+                        <span className="toolbar-card__section-label">Color</span>
+                        <div className="color-palette">
+                          {PRESET_COLORS.map((c) => (<button key={c} className={`color-swatch ${color === c ? 'color-swatch--active' : ''}`} style={{ backgroundColor: c }} onClick={() => { handleColorChange(c); setShowCustomColor(false); }} />))}
+                          <button className={`color-swatch color-swatch--custom ${showCustomColor ? 'color-swatch--active' : ''}`} onClick={() => setShowCustomColor(!showCustomColor)}>
+                            <input type="color" value={color} onChange={(e) => { handleColorChange(e.target.value); setShowCustomColor(true); }} />
+                          </button>
+                        </div>
+                      </div>
+                    )}
+
+                    <div className="toolbar-card__section">
+                      <button className="clear-btn" onClick={clearBoard}>{pages.length > 1 ? "Clear Page" : "Clear Board"}</button>
+                    </div>
+                  </>
+                )}
               </>
             )}
           </div>
 
-          <div className="canvas-area">
-            <div className="canvas-grid" />
-            <canvas ref={canvasRef} className="whiteboard-canvas" style={{ cursor: tool === TOOLS.BRUSH ? BRUSH_CURSOR : tool === TOOLS.ERASER ? 'cell' : 'crosshair' }} />
-            {showTextMarker && isPlacingText && (
-              <div className="text-position-marker" style={{ left: textPosition.x, top: textPosition.y }}>
-                <div className="text-position-marker__box">
-                  <span className="text-position-marker__text" style={{ color: color, fontSize: size * 4 }}>{textInput || "Type here..."}</span>
+          <div className="canvas-area" onDragOver={handleDragOver} onDrop={handleDrop}>
+            <div className="canvas-grid" style={{ backgroundSize: `${24 * viewport.zoom}px ${24 * viewport.zoom}px`, backgroundPosition: `${-viewport.x * viewport.zoom}px ${-viewport.y * viewport.zoom}px` }} />
+            <canvas ref={canvasRef} className="whiteboard-canvas" style={{ cursor: isPanning ? 'grabbing' : spaceHeld || !canEdit ? 'grab' : tool === TOOLS.SELECT ? 'default' : tool === TOOLS.BRUSH ? BRUSH_CURSOR : tool === TOOLS.ERASER ? 'cell' : 'crosshair' }} />
+            {Object.entries(cursors).filter(([, cursor]) => cursor.page === pageId).map(([userId, cursor]) => {
+              const point = worldToScreen(viewport, cursor.x, cursor.y);
+              return (
+                <div key={userId} className={`remote-cursor ${cursor.idle ? 'remote-cursor--idle' : ''}`} style={{ transform: `translate(${point.x}px, ${point.y}px)` }}>
+                  <svg viewBox="0 0 24 24" fill={cursor.color} stroke="#ffffff" strokeWidth="1.5"><path d="M4 2l15 11-6.5 1.2L9 21z" /></svg>
+                  <span className="remote-cursor__label" style={{ backgroundColor: cursor.color }}>{cursor.name}</span>
+                </div>
+              );
+            })}
+            {editingText && (
+              <textarea ref={textareaRef} className="text-editor" value={editingText.text} style={getTextEditorStyle(editingText)}
+                wrap={editingText.type === "note" ? "soft" : "off"} spellCheck={false} maxLength={5000} aria-label="Text"
+                onChange={(e) => updateTextEdit({ text: e.target.value })}
+                onKeyDown={(e) => {
+                  // Enter starts a new line; Escape or Ctrl/Cmd+Enter finishes
+                  if (e.key === "Escape" || (e.key === "Enter" && (e.ctrlKey || e.metaKey))) {
+                    e.preventDefault();
+                    finishTextEdit();
+                  }
+                }} />
+            )}
+            {showExport && (
+              <div className="export-dialog__backdrop" onClick={() => setShowExport(false)}>
+                <div className="export-dialog" onClick={(e) => e.stopPropagation()}>
+                  <h3 className="export-dialog__title">Export board</h3>
+                  <div className="export-dialog__field">
+                    <span className="export-dialog__label">Format</span>
+                    <div className="export-dialog__options">
+                      {["png", "svg", "pdf", "json"].map((format) => (
+                        <button key={format} className={`export-dialog__option ${exportOptions.format === format ? 'export-dialog__option--active' : ''}`} onClick={() => updateExportOptions({ format })}>{format.toUpperCase()}</button>
+                      ))}
+                    </div>
+                  </div>
+                  <div className="export-dialog__field">
+                    <span className="export-dialog__label">Area</span>
+                    <div className="export-dialog__options">
+                      <button className={`export-dialog__option ${exportOptions.area === "board" ? 'export-dialog__option--active' : ''}`} onClick={() => updateExportOptions({ area: "board" })}>All pages</button>
+                      <button className={`export-dialog__option ${exportOptions.area === "page" ? 'export-dialog__option--active' : ''}`} onClick={() => updateExportOptions({ area: "page" })}>This page</button>
+                      <button className={`export-dialog__option ${exportOptions.area === "selection" ? 'export-dialog__option--active' : ''}`} onClick={() => updateExportOptions({ area: "selection" })} disabled={selectedIds.length === 0}>Selection</button>
+                    </div>
+                  </div>
+                  {exportOptions.format === "png" && (
+                    <div className="export-dialog__field">
+                      <span className="export-dialog__label">Scale</span>
+                      <div className="export-dialog__options">
+                        {[1, 2, 3, 4].map((scale) => (
+                          <button key={scale} className={`export-dialog__option ${exportOptions.scale === scale ? 'export-dialog__option--active' : ''}`} onClick={() => updateExportOptions({ scale })}>{scale}x</button>
+                        ))}
+                      </div>
+                    </div>
+                  )}
+                  {exportOptions.format !== "json" && (
+                    <div className="export-dialog__field">
+                      <span className="export-dialog__label">Background</span>
+                      <div className="export-dialog__options">
+                        <input type="color" className="export-dialog__color" value={exportOptions.background} onChange={(e) => updateExportOptions({ background: e.target.value, transparent: false })} disabled={exportOptions.transparent} />
+                        <label className="export-dialog__checkbox">
+                          <input type="checkbox" checked={exportOptions.transparent} onChange={(e) => updateExportOptions({ transparent: e.target.checked })} />
+                          Transparent
+                        </label>
+                      </div>
+                    </div>
+                  )}
+                  {exportOptions.format === "svg" && (
+                    <p className="export-dialog__hint">Embed the live board with <code>{`${SOCKET_URL}/rooms/${encodeURIComponent(roomId)}/export.svg${embedKey ? `?key=${encodeURIComponent(embedKey)}` : ""}`}</code></p>
+                  )}
+                  <div className="export-dialog__actions">
+                    <button className="export-dialog__btn" onClick={() => setShowExport(false)}>Cancel</button>
+                    <button className="export-dialog__btn export-dialog__btn--primary" onClick={runExport} disabled={isExporting}>
+                      {isExporting ? <><span className="spinner"></span>Exporting...</> : "Download"}
+                    </button>
+                  </div>
                 </div>
-                <div className="text-position-marker__cursor"></div>
               </div>
             )}
+            {showHistory && (
+              <div className="history-bar">
+                <div className="history-bar__header">
+                  <span className="history-bar__title">Version history</span>
+                  <button className="history-bar__close" onClick={closeHistory} title="Back to the live board">
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2"><line x1="18" y1="6" x2="6" y2="18" /><line x1="6" y1="6" x2="18" y2="18" /></svg>
+                  </button>
+                </div>
+                {isLoadingHistory ? (
+                  <p className="history-bar__note"><span className="spinner"></span>Loading history...</p>
+                ) : revisions.length === 0 ? (
+                  <p className="history-bar__note">No versions yet. They are saved as the board changes.</p>
+                ) : (
+                  <>
+                    <input type="range" className="history-bar__timeline" min="0" max={revisions.length - 1} value={revisionIndex} onChange={(e) => previewRevision(Number(e.target.value))} />
+                    <div className="history-bar__range">
+                      <span>{new Date(revisions[0].at).toLocaleString()}</span>
+                      <span>{new Date(revisions[revisions.length - 1].at).toLocaleString()}</span>
+                    </div>
+                    {revisions[revisionIndex] && (
+                      <div className="history-bar__revision">
+                        <span className="history-bar__time">{new Date(revisions[revisionIndex].at).toLocaleString()}</span>
+                        <span className="history-bar__detail">
+                          {revisions[revisionIndex].label || (revisions[revisionIndex].authors.length > 0 ? "Edited by" : "Edited")}
+                          {!revisions[revisionIndex].label && revisions[revisionIndex].authors.map((author) => (
+                            <span key={author.name} className="history-bar__author" style={{ color: author.color }}>{author.name}</span>
+                          ))}
+                          {` · ${revisions[revisionIndex].objectCount} object${revisions[revisionIndex].objectCount === 1 ? "" : "s"}`}
+                        </span>
+                      </div>
+                    )}
+                    <div className="history-bar__actions">
+                      {forkLink && <a className="history-bar__link" href={forkLink} target="_blank" rel="noreferrer">Open fork</a>}
+                      <button className="history-bar__btn" onClick={forkRevision} disabled={isForking}>{isForking ? "Forking..." : "Fork into new room"}</button>
+                      {!isReadOnly && <button className="history-bar__btn history-bar__btn--primary" onClick={restoreRevision} disabled={syncStatus !== "synced"}>Restore this version</button>}
+                    </div>
+                  </>
+                )}
+              </div>
+            )}
+            <div className="page-panel">
+              <div className="page-panel__header">
+                <button className="page-panel__toggle" onClick={() => setShowPages(!showPages)} title={showPages ? "Hide pages" : "Show pages"}>
+                  {pages.find((page) => page.id === pageId)?.name || "Pages"}
+                  <span className="page-panel__count">{pages.findIndex((page) => page.id === pageId) + 1}/{pages.length}</span>
+                </button>
+                {canEdit && (
+                  <button className="page-panel__btn" onClick={addPage} title="Add page">
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2"><line x1="12" y1="5" x2="12" y2="19" /><line x1="5" y1="12" x2="19" y2="12" /></svg>
+                  </button>
+                )}
+              </div>
+              {presenting ? (
+                <p className="page-panel__note">
+                  You're presenting
+                  <button className="page-panel__link" onClick={togglePresenting}>Stop</button>
+                </p>
+              ) : followingId ? (
+                <p className="page-panel__note">
+                  Following {followingName}
+                  <button className="page-panel__link" onClick={stopFollowing}>Stop</button>
+                </p>
+              ) : presenter && presenter.id !== selfId && (
+                <p className="page-panel__note">
+                  {presenter.name} is presenting
+                  <button className="page-panel__link" onClick={() => followMember(presenter)}>Follow</button>
+                </p>
+              )}
+              {showPages && (
+                <ul className="page-panel__list">
+                  {pages.map((page, index) => (
+                    <li key={page.id} className={`page-panel__item ${page.id === pageId ? 'page-panel__item--active' : ''}`}>
+                      {renamingPageId === page.id ? (
+                        <input className="page-panel__input" defaultValue={page.name} maxLength={64} autoFocus aria-label="Page name"
+                          onBlur={(e) => renamePage(page, e.target.value)}
+                          onKeyDown={(e) => {
+                            if (e.key === "Enter") e.target.blur();
+                            if (e.key === "Escape") {
+                              e.target.value = page.name;
+                              e.target.blur();
+                            }
+                          }} />
+                      ) : (
+                        <button className="page-panel__name" onClick={() => goToPage(page.id)}
+                          onDoubleClick={() => canEdit && setRenamingPageId(page.id)} title={canEdit ? "Double-click to rename" : page.name}>
+                          {page.name}
+                        </button>
+                      )}
+                      <span className="page-panel__members">
+                        {Object.entries(cursors).filter(([, cursor]) => cursor.page === page.id).map(([userId, cursor]) => (
+                          <span key={userId} className="page-panel__member" style={{ backgroundColor: cursor.color }} title={cursor.name} />
+                        ))}
+                      </span>
+                      {canEdit && (
+                        <span className="page-panel__actions">
+                          <button className="page-panel__action" onClick={() => movePage(page, -1)} disabled={index === 0} title="Move up">↑</button>
+                          <button className="page-panel__action" onClick={() => movePage(page, 1)} disabled={index === pages.length - 1} title="Move down">↓</button>
+                          <button className="page-panel__action" onClick={() => deletePage(page)} disabled={pages.length < 2} title="Delete page">×</button>
+                        </span>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+            <div className="zoom-controls">
+              <button className="zoom-controls__btn" onClick={() => zoomBy(1 / ZOOM_STEP)} title="Zoom out">
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2"><line x1="5" y1="12" x2="19" y2="12" /></svg>
+              </button>
+              <button className="zoom-controls__level" onClick={resetZoom} title="Reset to 100%">{Math.round(viewport.zoom * 100)}%</button>
+              <button className="zoom-controls__btn" onClick={() => zoomBy(ZOOM_STEP)} title="Zoom in">
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2"><line x1="12" y1="5" x2="12" y2="19" /><line x1="5" y1="12" x2="19" y2="12" /></svg>
+              </button>
+              <button className="zoom-controls__btn" onClick={zoomToFit} title="Zoom to fit (F)">
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2"><path d="M8 3H5a2 2 0 0 0-2 2v3" /><path d="M21 8V5a2 2 0 0 0-2-2h-3" /><path d="M3 16v3a2 2 0 0 0 2 2h3" /><path d="M16 21h3a2 2 0 0 0 2-2v-3" /></svg>
+              </button>
+            </div>
           </div>
         </div>
       )}
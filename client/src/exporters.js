@@ -0,0 +1,189 @@
+// Board exports: SVG, PDF, PNG and JSON board files. Each export covers the
+// objects it is given (every page, the current page or the selection); the
+// image formats are cropped to their bounds.
+
+import {
+  HIGHLIGHTER_OPACITY, NOTE_PADDING, TEXT_LINE_HEIGHT, getNoteLines, getStrokeDash, getStrokeSegments, hasPressure,
+  pressureWidth, toBoardFile,
+} from "../../shared/board.js";
+import { arrowHead, getExportBounds } from "../../shared/exportSvg.js";
+import { loadImage, preloadImages, renderBoard } from "./renderer";
+
+export { boardToSvg } from "../../shared/exportSvg.js";
+
+// PDF pages are A4 landscape, in points. One world unit maps to one point.
+const PDF_PAGE = { width: 842, height: 595 };
+
+// Render the objects onto a new canvas at `scale` pixels per world unit.
+// Images must already be loaded (see preloadImages).
+export const renderToCanvas = (objects, { scale = 1, background = null } = {}) => {
+  const bounds = getExportBounds(objects);
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.max(1, Math.ceil((bounds.maxX - bounds.minX) * scale));
+  canvas.height = Math.max(1, Math.ceil((bounds.maxY - bounds.minY) * scale));
+  const ctx = canvas.getContext("2d");
+  renderBoard(ctx, objects, { viewport: { x: bounds.minX, y: bounds.minY, zoom: scale } });
+  if (background) {
+    // Paint underneath what's already there
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.globalCompositeOperation = "destination-over";
+    ctx.fillStyle = background;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+  }
+  return canvas;
+};
+
+export const boardToPngBlob = async (objects, options) => {
+  await preloadImages(objects);
+  return new Promise((resolve, reject) => {
+    renderToCanvas(objects, options).toBlob((blob) => {
+      if (blob) resolve(blob);
+      else reject(new Error("Could not encode PNG"));
+    }, "image/png");
+  });
+};
+
+// jsPDF only embeds PNG and JPEG, so every image goes in as a PNG
+const imageToPng = async (src) => {
+  const image = await loadImage(src);
+  const canvas = document.createElement("canvas");
+  canvas.width = image.naturalWidth || 300;
+  canvas.height = image.naturalHeight || 150;
+  canvas.getContext("2d").drawImage(image, 0, 0, canvas.width, canvas.height);
+  return canvas.toDataURL("image/png");
+};
+
+// jsPDF's built-in fonts standing in for each font family
+const PDF_FONTS = { sans: "helvetica", serif: "times", mono: "courier", hand: "helvetica" };
+
+const pdfFontStyle = ({ bold, italic }) => (bold && italic ? "bolditalic" : bold ? "bold" : italic ? "italic" : "normal");
+
+const drawTextToPdf = (doc, lines, x, y, style) => {
+  doc.setTextColor(style.color);
+  doc.setFont(PDF_FONTS[style.fontFamily] || PDF_FONTS.sans, pdfFontStyle(style));
+  doc.setFontSize(style.fontSize);
+  doc.text(lines, x, y, { align: style.align || "left", lineHeightFactor: TEXT_LINE_HEIGHT });
+};
+
+// A stroke piece as a jsPDF bezier curve, relative to where the piece starts
+const segmentToPdfCurve = ({ from, control, to }) => [
+  ((control[0] - from[0]) * 2) / 3,
+  ((control[1] - from[1]) * 2) / 3,
+  to[0] - from[0] + ((control[0] - to[0]) * 2) / 3,
+  to[1] - from[1] + ((control[1] - to[1]) * 2) / 3,
+  to[0] - from[0],
+  to[1] - from[1],
+];
+
+// PDF has no way to cut holes in what's already on the page, so eraser
+// strokes are painted in the page's background color instead
+const drawObjectToPdf = (doc, obj, originX, originY, pngs, background) => {
+  const px = (x) => x - originX;
+  const py = (y) => y - originY;
+  doc.setDrawColor(obj.tool === "eraser" ? background || "#ffffff" : obj.style?.color || "#000000");
+  doc.setLineWidth(obj.style?.size || 3);
+  if (obj.type === "stroke") {
+    const segments = getStrokeSegments(obj.points);
+    if (segments.length === 0) return;
+    const { size, brush } = obj.style;
+    const drawCurve = (pieces) =>
+      doc.lines(pieces.map(segmentToPdfCurve), px(pieces[0].from[0]), py(pieces[0].from[1]), [1, 1], "S");
+    if (brush === "highlighter") {
+      doc.saveGraphicsState();
+      doc.setGState(new doc.GState({ "stroke-opacity": HIGHLIGHTER_OPACITY }));
+      drawCurve(segments);
+      doc.restoreGraphicsState();
+    } else if (brush === "dashed") {
+      doc.setLineDashPattern(getStrokeDash(size), 0);
+      drawCurve(segments);
+      doc.setLineDashPattern([], 0);
+    } else if (hasPressure(obj)) {
+      segments.forEach((segment) => {
+        doc.setLineWidth(pressureWidth(size, segment.pressure));
+        drawCurve([segment]);
+      });
+    } else {
+      drawCurve(segments);
+    }
+  } else if (obj.type === "shape") {
+    const { x1, y1, x2, y2 } = obj;
+    if (obj.shape === "rectangle") {
+      doc.rect(px(Math.min(x1, x2)), py(Math.min(y1, y2)), Math.abs(x2 - x1), Math.abs(y2 - y1), "S");
+    } else if (obj.shape === "circle") {
+      doc.circle(px(x1), py(y1), Math.hypot(x2 - x1, y2 - y1), "S");
+    } else {
+      doc.line(px(x1), py(y1), px(x2), py(y2));
+      if (obj.shape === "arrow") {
+        arrowHead(obj).forEach(([x, y]) => doc.line(px(x2), py(y2), px(x), py(y)));
+      }
+    }
+  } else if (obj.type === "connector") {
+    drawObjectToPdf(doc, { ...obj, type: "shape", shape: "arrow" }, originX, originY, pngs, background);
+  } else if (obj.type === "text") {
+    drawTextToPdf(doc, obj.text.split("\n"), px(obj.x), py(obj.y), obj.style);
+  } else if (obj.type === "note") {
+    const { x, y, width, height, style } = obj;
+    const textX = style.align === "center" ? x + width / 2 : style.align === "right" ? x + width - NOTE_PADDING : x + NOTE_PADDING;
+    doc.setFillColor(style.fill);
+    doc.roundedRect(px(x), py(y), width, height, 6, 6, "F");
+    drawTextToPdf(doc, getNoteLines(obj), px(textX), py(y + NOTE_PADDING + style.fontSize), style);
+  } else if (obj.type === "image" && pngs.has(obj.src)) {
+    doc.addImage(pngs.get(obj.src), "PNG", px(obj.x), py(obj.y), obj.width, obj.height);
+  }
+};
+
+// A vector PDF of `pages`, lists of objects that each start a new PDF page
+// (one per board page, or just one). Content bigger than one page is tiled
+// across several A4 landscape pages, left to right and then top to bottom.
+export const boardToPdfBlob = async (pages, { background = null } = {}) => {
+  const { jsPDF } = await import("jspdf");
+  const doc = new jsPDF({ orientation: "landscape", unit: "pt", format: "a4" });
+  const pngs = new Map();
+  for (const obj of pages.flat()) {
+    if (obj.type === "image" && !pngs.has(obj.src)) {
+      try {
+        pngs.set(obj.src, await imageToPng(obj.src));
+      } catch (err) {
+        console.error(err.message);
+      }
+    }
+  }
+  doc.setLineCap("round");
+  doc.setLineJoin("round");
+
+  let first = true;
+  pages.forEach((objects) => {
+    const bounds = getExportBounds(objects);
+    const columns = Math.max(1, Math.ceil((bounds.maxX - bounds.minX) / PDF_PAGE.width));
+    const rows = Math.max(1, Math.ceil((bounds.maxY - bounds.minY) / PDF_PAGE.height));
+    for (let row = 0; row < rows; row += 1) {
+      for (let column = 0; column < columns; column += 1) {
+        if (!first) {
+          doc.addPage("a4", "landscape");
+        }
+        first = false;
+        if (background) {
+          doc.setFillColor(background);
+          doc.rect(0, 0, PDF_PAGE.width, PDF_PAGE.height, "F");
+        }
+        // Objects hanging over the page edge are clipped by the page itself
+        const originX = bounds.minX + column * PDF_PAGE.width;
+        const originY = bounds.minY + row * PDF_PAGE.height;
+        objects.forEach((obj) => drawObjectToPdf(doc, obj, originX, originY, pngs, background));
+      }
+    }
+  });
+  return doc.output("blob");
+};
+
+export const boardToJsonBlob = (objects, room) =>
+  new Blob([toBoardFile(objects, room)], { type: "application/json" });
+
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.download = filename;
+  link.href = url;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
@@ -0,0 +1,65 @@
+// Bringing files into a board: images become image objects, board files
+// (see toBoardFile in board.js) become a batch of objects.
+
+import { createImage, fromBoardFile } from "../../shared/board.js";
+import { loadImage } from "./renderer";
+
+export const IMAGE_TYPES = ["image/png", "image/jpeg", "image/svg+xml"];
+
+// Raster images are downscaled so their longest side fits this many pixels
+const MAX_IMAGE_PIXELS = 1600;
+
+// Images are stored inline in the board, so keep them well under the
+// server's message size limit
+const MAX_IMAGE_BYTES = 1.5 * 1024 * 1024;
+
+// Longest side of a newly placed image, in world units
+const MAX_PLACED_SIZE = 600;
+
+// Size used for SVGs that don't declare one
+const FALLBACK_SIZE = { width: 300, height: 150 };
+
+export const isBoardFile = (file) =>
+  file.type === "application/json" || file.name.toLowerCase().endsWith(".json");
+
+export const isImageFile = (file) => IMAGE_TYPES.includes(file.type);
+
+const readFile = (file, as) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(new Error(`Could not read ${file.name}`));
+    if (as === "text") reader.readAsText(file);
+    else reader.readAsDataURL(file);
+  });
+
+const downscale = (image, type) => {
+  const ratio = MAX_IMAGE_PIXELS / Math.max(image.naturalWidth, image.naturalHeight);
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.round(image.naturalWidth * ratio);
+  canvas.height = Math.round(image.naturalHeight * ratio);
+  canvas.getContext("2d").drawImage(image, 0, 0, canvas.width, canvas.height);
+  return type === "image/jpeg" ? canvas.toDataURL("image/jpeg", 0.85) : canvas.toDataURL("image/png");
+};
+
+// An image object for `file`, centred on the world point (x, y)
+export const imageFileToObject = async (file, { x, y }) => {
+  let src = await readFile(file, "dataUrl");
+  const image = await loadImage(src);
+  const isSvg = file.type === "image/svg+xml";
+  if (!isSvg && Math.max(image.naturalWidth, image.naturalHeight) > MAX_IMAGE_PIXELS) {
+    src = downscale(image, file.type);
+  }
+  if (src.length > MAX_IMAGE_BYTES) {
+    throw new Error(`${file.name} is too large to add to the board`);
+  }
+  const natural = image.naturalWidth > 0
+    ? { width: image.naturalWidth, height: image.naturalHeight }
+    : FALLBACK_SIZE;
+  const ratio = Math.min(1, MAX_PLACED_SIZE / Math.max(natural.width, natural.height));
+  const width = natural.width * ratio;
+  const height = natural.height * ratio;
+  return createImage({ src, x: x - width / 2, y: y - height / 2, width, height });
+};
+
+export const boardFileToObjects = async (file) => fromBoardFile(await readFile(file, "text"));
@@ -0,0 +1,296 @@
+// Canvas rendering for board objects (see board.js for the object shapes).
+
+import {
+  HIGHLIGHTER_OPACITY, NOTE_PADDING, TEXT_LINE_HEIGHT, getNoteLines, getStrokeDash, getStrokeSegment, getStrokeSegments,
+  getTextFont, hasPressure, pressureWidth,
+} from "../../shared/board.js";
+
+export const drawArrow = (ctx, fromX, fromY, toX, toY, lineWidth) => {
+  const headLength = lineWidth * 4;
+  const angle = Math.atan2(toY - fromY, toX - fromX);
+
+  ctx.beginPath();
+  ctx.moveTo(fromX, fromY);
+  ctx.lineTo(toX, toY);
+  ctx.stroke();
+
+  ctx.beginPath();
+  ctx.moveTo(toX, toY);
+  ctx.lineTo(toX - headLength * Math.cos(angle - Math.PI / 6), toY - headLength * Math.sin(angle - Math.PI / 6));
+  ctx.moveTo(toX, toY);
+  ctx.lineTo(toX - headLength * Math.cos(angle + Math.PI / 6), toY - headLength * Math.sin(angle + Math.PI / 6));
+  ctx.stroke();
+};
+
+const drawStrokeSegment = (ctx, { from, control, to }) => {
+  ctx.beginPath();
+  ctx.moveTo(from[0], from[1]);
+  ctx.quadraticCurveTo(control[0], control[1], to[0], to[1]);
+  ctx.stroke();
+};
+
+// Pressure strokes change width piece by piece; everything else is one path,
+// so highlighter overlaps don't darken and dashes run on evenly. A single tap
+// is a zero-length piece, which the round cap turns into a dot.
+const drawStroke = (ctx, obj) => {
+  const segments = getStrokeSegments(obj.points);
+  if (segments.length === 0) return;
+  const { brush, size } = obj.style;
+  if (brush === "highlighter") {
+    ctx.globalAlpha = HIGHLIGHTER_OPACITY;
+  } else if (brush === "dashed") {
+    ctx.setLineDash(getStrokeDash(size));
+  } else if (hasPressure(obj)) {
+    segments.forEach((segment) => {
+      ctx.lineWidth = pressureWidth(size, segment.pressure);
+      drawStrokeSegment(ctx, segment);
+    });
+    return;
+  }
+  ctx.beginPath();
+  ctx.moveTo(segments[0].from[0], segments[0].from[1]);
+  segments.forEach(({ control, to }) => ctx.quadraticCurveTo(control[0], control[1], to[0], to[1]));
+  ctx.stroke();
+};
+
+const drawShape = (ctx, obj) => {
+  const { x1, y1, x2, y2 } = obj;
+  if (obj.shape === "line") {
+    ctx.beginPath();
+    ctx.moveTo(x1, y1);
+    ctx.lineTo(x2, y2);
+    ctx.stroke();
+  } else if (obj.shape === "rectangle") {
+    ctx.strokeRect(x1, y1, x2 - x1, y2 - y1);
+  } else if (obj.shape === "circle") {
+    const radius = Math.hypot(x2 - x1, y2 - y1);
+    ctx.beginPath();
+    ctx.arc(x1, y1, radius, 0, Math.PI * 2);
+    ctx.stroke();
+  } else if (obj.shape === "arrow") {
+    drawArrow(ctx, x1, y1, x2, y2, obj.style.size);
+  }
+};
+
+const drawText = (ctx, obj) => {
+  ctx.font = getTextFont(obj.style);
+  ctx.fillStyle = obj.style.color;
+  ctx.textAlign = obj.style.align || "left";
+  obj.text.split("\n").forEach((line, i) => {
+    ctx.fillText(line, obj.x, obj.y + i * obj.style.fontSize * TEXT_LINE_HEIGHT);
+  });
+};
+
+const NOTE_RADIUS = 6;
+
+const drawNote = (ctx, obj) => {
+  const { x, y, width, height, style } = obj;
+  ctx.save();
+  ctx.shadowColor = "rgba(15, 23, 42, 0.18)";
+  ctx.shadowBlur = 8;
+  ctx.shadowOffsetY = 2;
+  ctx.fillStyle = style.fill;
+  ctx.beginPath();
+  ctx.roundRect(x, y, width, height, NOTE_RADIUS);
+  ctx.fill();
+  ctx.restore();
+  ctx.font = getTextFont(style);
+  ctx.fillStyle = style.color;
+  ctx.textAlign = style.align || "left";
+  const lineX = style.align === "center" ? x + width / 2 : style.align === "right" ? x + width - NOTE_PADDING : x + NOTE_PADDING;
+  getNoteLines(obj).forEach((line, i) => {
+    ctx.fillText(line, lineX, y + NOTE_PADDING + style.fontSize * (1 + i * TEXT_LINE_HEIGHT));
+  });
+};
+
+// Width of the longest line of a text object, in world units
+let measureCtx = null;
+export const measureText = (obj) => {
+  measureCtx ||= document.createElement("canvas").getContext("2d");
+  measureCtx.font = getTextFont(obj.style);
+  return Math.max(...obj.text.split("\n").map((line) => measureCtx.measureText(line).width));
+};
+
+// Decoded images by src. Images decode asynchronously, so an image that isn't
+// ready yet is drawn as a placeholder and the load listener is told once it
+// can be painted for real.
+const images = new Map();
+let imageLoadListener = null;
+
+export const setImageLoadListener = (listener) => {
+  imageLoadListener = listener;
+};
+
+export const loadImage = (src) => {
+  if (!images.has(src)) {
+    const image = new Image();
+    const ready = new Promise((resolve, reject) => {
+      image.onload = () => {
+        resolve(image);
+        imageLoadListener?.();
+      };
+      image.onerror = () => reject(new Error("Could not load image"));
+    });
+    image.src = src;
+    images.set(src, { image, ready });
+  }
+  return images.get(src).ready;
+};
+
+// Resolves once every image among `objects` has loaded (or failed to)
+export const preloadImages = (objects) =>
+  Promise.allSettled(objects.filter((obj) => obj.type === "image").map((obj) => loadImage(obj.src)));
+
+const drawImage = (ctx, obj) => {
+  const entry = images.get(obj.src);
+  if (entry?.image.complete && entry.image.naturalWidth > 0) {
+    ctx.drawImage(entry.image, obj.x, obj.y, obj.width, obj.height);
+    return;
+  }
+  if (!entry) {
+    loadImage(obj.src).catch((err) => console.error(err.message));
+  }
+  ctx.fillStyle = "rgba(148, 163, 184, 0.2)";
+  ctx.fillRect(obj.x, obj.y, obj.width, obj.height);
+};
+
+// Eraser strokes cut through everything painted before them, down to the
+// transparent canvas, so the grid (or an export background) shows through
+const applyEraser = (ctx, stroke) => {
+  if (stroke.tool === "eraser") {
+    ctx.globalCompositeOperation = "destination-out";
+  }
+};
+
+export const drawObject = (ctx, obj) => {
+  ctx.save();
+  ctx.lineCap = "round";
+  ctx.lineJoin = "round";
+  ctx.strokeStyle = obj.style?.color || "#000";
+  ctx.lineWidth = obj.style?.size || 3;
+  applyEraser(ctx, obj);
+  if (obj.type === "stroke") {
+    drawStroke(ctx, obj);
+  } else if (obj.type === "shape") {
+    drawShape(ctx, obj);
+  } else if (obj.type === "connector") {
+    drawArrow(ctx, obj.x1, obj.y1, obj.x2, obj.y2, obj.style.size);
+  } else if (obj.type === "text") {
+    drawText(ctx, obj);
+  } else if (obj.type === "note") {
+    drawNote(ctx, obj);
+  } else if (obj.type === "image") {
+    drawImage(ctx, obj);
+  }
+  ctx.restore();
+};
+
+// Clear the whole canvas and paint every object in order through the
+// viewport. The view transform is left on the context so in-progress
+// drawing (drawSegment, drafts) lands in the same world space.
+export const renderBoard = (ctx, objects, { viewport, pixelRatio = 1 }) => {
+  const { canvas } = ctx;
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+  const scale = viewport.zoom * pixelRatio;
+  ctx.setTransform(scale, 0, 0, scale, -viewport.x * scale, -viewport.y * scale);
+  objects.forEach((obj) => drawObject(ctx, obj));
+};
+
+// Whether a stroke being drawn can be painted a piece at a time. See-through
+// and dashed strokes have to be drawn whole to look right.
+export const canDrawIncrementally = (stroke) => !stroke.style.brush || stroke.style.brush === "pen";
+
+// Paint the piece of a stroke that its newest point completed, so the whole
+// board doesn't need re-rendering on every pointer move.
+export const drawLatestSegment = (ctx, stroke) => {
+  const { points } = stroke;
+  if (points.length < 2) return;
+  const segment = getStrokeSegment(points, points.length - 1);
+  ctx.save();
+  ctx.lineCap = "round";
+  ctx.lineJoin = "round";
+  ctx.strokeStyle = stroke.style.color;
+  ctx.lineWidth = pressureWidth(stroke.style.size, segment.pressure);
+  applyEraser(ctx, stroke);
+  drawStrokeSegment(ctx, segment);
+  ctx.restore();
+};
+
+// Laser pointer trails fade out over this long
+export const LASER_FADE_MS = 1000;
+
+// A laser trail: { color, points: [{ x, y, t, start }] }, with `t` the time
+// each point arrived and `start` marking where a new sweep begins. Older
+// parts of the trail are fainter and thinner; widths are divided by the
+// zoom so the pointer looks the same at every zoom level.
+export const drawLaser = (ctx, trail, now, zoom) => {
+  const { points } = trail;
+  ctx.save();
+  ctx.lineCap = "round";
+  ctx.strokeStyle = trail.color;
+  ctx.fillStyle = trail.color;
+  ctx.shadowColor = trail.color;
+  ctx.shadowBlur = 8;
+  for (let i = 1; i < points.length; i += 1) {
+    const from = points[i - 1];
+    const to = points[i];
+    if (to.start) continue;
+    const life = 1 - (now - to.t) / LASER_FADE_MS;
+    if (life <= 0) continue;
+    ctx.globalAlpha = life;
+    ctx.lineWidth = (2 + life * 3) / zoom;
+    ctx.beginPath();
+    ctx.moveTo(from.x, from.y);
+    ctx.lineTo(to.x, to.y);
+    ctx.stroke();
+  }
+  const tip = points[points.length - 1];
+  const life = tip ? 1 - (now - tip.t) / LASER_FADE_MS : 0;
+  if (life > 0) {
+    ctx.globalAlpha = life;
+    ctx.beginPath();
+    ctx.arc(tip.x, tip.y, 5 / zoom, 0, Math.PI * 2);
+    ctx.fill();
+  }
+  ctx.restore();
+};
+
+const SELECTION_COLOR = "#6366f1";
+export const HANDLE_SIZE = 8;
+
+// Corner handles of a selection box, in world coordinates
+export const getHandles = (bounds) => ({
+  nw: { x: bounds.minX, y: bounds.minY },
+  ne: { x: bounds.maxX, y: bounds.minY },
+  sw: { x: bounds.minX, y: bounds.maxY },
+  se: { x: bounds.maxX, y: bounds.maxY },
+});
+
+// Selection box with resize handles. Line widths and handle sizes are
+// divided by the zoom so they look the same at every zoom level.
+export const drawSelection = (ctx, bounds, zoom) => {
+  ctx.save();
+  ctx.strokeStyle = SELECTION_COLOR;
+  ctx.lineWidth = 1.5 / zoom;
+  ctx.setLineDash([6 / zoom, 4 / zoom]);
+  ctx.strokeRect(bounds.minX, bounds.minY, bounds.maxX - bounds.minX, bounds.maxY - bounds.minY);
+  ctx.setLineDash([]);
+  ctx.fillStyle = "#ffffff";
+  const size = HANDLE_SIZE / zoom;
+  Object.values(getHandles(bounds)).forEach(({ x, y }) => {
+    ctx.fillRect(x - size / 2, y - size / 2, size, size);
+    ctx.strokeRect(x - size / 2, y - size / 2, size, size);
+  });
+  ctx.restore();
+};
+
+export const drawMarquee = (ctx, bounds, zoom) => {
+  ctx.save();
+  ctx.fillStyle = "rgba(99, 102, 241, 0.08)";
+  ctx.strokeStyle = SELECTION_COLOR;
+  ctx.lineWidth = 1 / zoom;
+  ctx.fillRect(bounds.minX, bounds.minY, bounds.maxX - bounds.minX, bounds.maxY - bounds.minY);
+  ctx.strokeRect(bounds.minX, bounds.minY, bounds.maxX - bounds.minX, bounds.maxY - bounds.minY);
+  ctx.restore();
+};
@@ -0,0 +1,57 @@
+import * as Y from "yjs";
+import { createBoardSync } from "../../shared/sync.js";
+
+// The board as a shared Yjs document (see shared/sync.js), and how updates
+// to it travel between peers: as base64 strings.
+
+// Origin of updates that came from the room, so they aren't sent back
+export const REMOTE_ORIGIN = "remote";
+
+export const { applyToDoc, createBoardDoc, getText, readObjects } = createBoardSync(Y);
+
+const toBase64 = (bytes) => {
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+};
+
+const fromBase64 = (text) => Uint8Array.from(atob(text), (char) => char.charCodeAt(0));
+
+export const encodeUpdate = toBase64;
+
+export const getStateVector = (doc) => toBase64(Y.encodeStateVector(doc));
+
+// Several updates as one
+export const mergeUpdates = (updates) => Y.mergeUpdates(updates);
+
+// Merge an update from the room into the document
+export const applyRemoteUpdate = (doc, update) => Y.applyUpdate(doc, fromBase64(update), REMOTE_ORIGIN);
+
+// Where `index` in a text ends up after a change to it (a Y.Text event's
+// delta). Text inserted right at the index goes after it.
+export const shiftIndex = (delta, index) => {
+  let at = 0;
+  let shifted = index;
+  for (const change of delta) {
+    if (at >= index) break;
+    if (change.retain) {
+      at += change.retain;
+    } else if (change.insert) {
+      shifted += change.insert.length;
+    } else if (change.delete) {
+      shifted -= Math.min(change.delete, index - at);
+      at += change.delete;
+    }
+  }
+  return shifted;
+};
+
+// What the document has that a peer with `stateVector` hasn't seen, or null
+// if there's nothing
+export const getMissingUpdate = (doc, stateVector) => {
+  const update = Y.encodeStateAsUpdate(doc, stateVector ? fromBase64(stateVector) : undefined);
+  const { structs, ds } = Y.decodeUpdate(update);
+  return structs.length > 0 || ds.clients.size > 0 ? toBase64(update) : null;
+};
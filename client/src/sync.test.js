@@ -0,0 +1,94 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  applyRemoteUpdate, applyToDoc, createBoardDoc, getMissingUpdate, getStateVector, getText, readObjects, shiftIndex,
+} from "./sync.js";
+
+const note = { id: "n1", type: "note", x: 0, y: 0, width: 100, height: 100, text: "hello world", style: {} };
+
+// Two copies of a board holding one note
+const makePeers = () => {
+  const a = createBoardDoc();
+  applyToDoc(a, { type: "add", objects: [note] });
+  const b = createBoardDoc();
+  applyRemoteUpdate(b, getMissingUpdate(a));
+  return [a, b];
+};
+
+// Send each copy what the other has
+const exchange = (a, b) => {
+  const toB = getMissingUpdate(a, getStateVector(b));
+  const toA = getMissingUpdate(b, getStateVector(a));
+  if (toB) applyRemoteUpdate(b, toB);
+  if (toA) applyRemoteUpdate(a, toA);
+};
+
+const typeInto = (doc, text) => applyToDoc(doc, { type: "update", changes: [{ id: "n1", text }] });
+
+describe("shiftIndex", () => {
+  it("moves an index past text inserted or deleted before it", () => {
+    assert.equal(shiftIndex([{ retain: 2 }, { insert: "abc" }], 5), 8);
+    assert.equal(shiftIndex([{ retain: 1 }, { delete: 2 }], 5), 3);
+  });
+
+  it("leaves an index be for changes after it, or inserts right at it", () => {
+    assert.equal(shiftIndex([{ retain: 5 }, { insert: "abc" }], 5), 5);
+    assert.equal(shiftIndex([{ retain: 6 }, { delete: 3 }], 5), 5);
+  });
+
+  it("moves an index inside deleted text to where the deletion was", () => {
+    assert.equal(shiftIndex([{ retain: 3 }, { delete: 4 }], 5), 3);
+  });
+});
+
+describe("getText", () => {
+  it("gives the text of an object, or null", () => {
+    const [doc] = makePeers();
+    assert.equal(getText(doc, "n1").toString(), "hello world");
+    assert.equal(getText(doc, "missing"), null);
+  });
+
+  it("keeps the words of two people typing in one note", () => {
+    const [a, b] = makePeers();
+    typeInto(a, "hello there world");
+    typeInto(b, "hello world!");
+    exchange(a, b);
+    assert.equal(readObjects(a)[0].text, "hello there world!");
+    assert.equal(readObjects(b)[0].text, "hello there world!");
+  });
+
+  it("reports what others typed as a delta that keeps the caret in place", () => {
+    const [a, b] = makePeers();
+    const caret = "hello world".length;
+    let shifted = null;
+    getText(b, "n1").observe((event) => {
+      shifted = shiftIndex(event.delta, caret);
+    });
+    typeInto(a, "oh, hello world");
+    exchange(a, b);
+    assert.equal(shifted, caret + "oh, ".length);
+  });
+});
+
+describe("readObjects", () => {
+  it("routes a connector to both its objects when they're moved at once", () => {
+    const box = (id, x) => ({ id, type: "shape", shape: "rectangle", style: {}, x1: x, y1: 0, x2: x + 100, y2: 100 });
+    const a = createBoardDoc();
+    const connector = { id: "c1", type: "connector", style: {}, from: "s1", to: "s2", x1: 0, y1: 0, x2: 0, y2: 0 };
+    applyToDoc(a, { type: "add", objects: [box("s1", 0), box("s2", 300), connector] });
+    const b = createBoardDoc();
+    applyRemoteUpdate(b, getMissingUpdate(a));
+    // Each moves one box down, re-routing the connector from where the
+    // other box used to be
+    const moveDown = (id) => ({ id, y1: 200, y2: 300 });
+    applyToDoc(a, { type: "update", changes: [moveDown("s1"), { id: "c1", x1: 100, y1: 150, x2: 300, y2: 100 }] });
+    applyToDoc(b, { type: "update", changes: [moveDown("s2"), { id: "c1", x1: 100, y1: 100, x2: 300, y2: 150 }] });
+    exchange(a, b);
+    const { x1, y1, x2, y2 } = readObjects(a).find((obj) => obj.id === "c1");
+    assert.deepEqual(
+      { x1, y1, x2, y2 },
+      { x1: 100, y1: 250, x2: 300, y2: 250 },
+    );
+    assert.deepEqual(readObjects(b), readObjects(a));
+  });
+});
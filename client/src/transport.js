@@ -0,0 +1,50 @@
+// Wire format for live stroke previews.
+//
+// A stroke's style and first point go out once, in "start-draw". After that
+// the points drawn during each animation frame go out together in one
+// "drawing" event:
+//
+//   { roomId, id, deltas: [dx, dy, dx, dy, ...], pressures: [p, ...] }
+//
+// Coordinates are sent in tenths of a board unit, each relative to the
+// point before it, so a batch is a short list of small integers. Pressures
+// (only for strokes that have them) are hundredths, 0..100. Stroke points
+// are snapped to tenths when drawn, so what peers decode is exactly what
+// the finished stroke contains.
+
+const COORDINATE_SCALE = 10;
+const PRESSURE_SCALE = 100;
+
+export const snapCoordinate = (n) => Math.round(n * COORDINATE_SCALE) / COORDINATE_SCALE;
+
+// Encode `points` as drawn after `previous`, the last point already sent
+export const encodePoints = (points, previous) => {
+  const deltas = [];
+  let [lastX, lastY] = previous.map((n) => Math.round(n * COORDINATE_SCALE));
+  points.forEach(([x, y]) => {
+    const nextX = Math.round(x * COORDINATE_SCALE);
+    const nextY = Math.round(y * COORDINATE_SCALE);
+    deltas.push(nextX - lastX, nextY - lastY);
+    lastX = nextX;
+    lastY = nextY;
+  });
+  const batch = { deltas };
+  if (points[0]?.length > 2) {
+    batch.pressures = points.map((point) => Math.round(point[2] * PRESSURE_SCALE));
+  }
+  return batch;
+};
+
+// The points in a batch, continuing from `previous`
+export const decodePoints = ({ deltas, pressures }, previous) => {
+  const points = [];
+  let [x, y] = previous.map((n) => Math.round(n * COORDINATE_SCALE));
+  for (let i = 0; i + 1 < deltas.length; i += 2) {
+    x += deltas[i];
+    y += deltas[i + 1];
+    const point = [x / COORDINATE_SCALE, y / COORDINATE_SCALE];
+    if (pressures) point.push(pressures[i / 2] / PRESSURE_SCALE);
+    points.push(point);
+  }
+  return points;
+};
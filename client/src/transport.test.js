@@ -0,0 +1,54 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { decodePoints, encodePoints, snapCoordinate } from "./transport.js";
+
+describe("encodePoints and decodePoints", () => {
+  it("round-trips snapped points exactly", () => {
+    const points = [[10.1, 20.2], [10.3, 19.9], [-4.5, 0], [1234.5, -987.6]];
+    const batch = encodePoints(points, [10, 20]);
+    assert.deepEqual(batch, { deltas: [1, 2, 2, -3, -148, -199, 12390, -9876] });
+    assert.deepEqual(decodePoints(batch, [10, 20]), points);
+  });
+
+  it("continues from the last point of the batch before", () => {
+    const first = [[1.1, 1.1], [2.2, 2.2]];
+    const second = [[3.3, 3.3], [4.4, 4.4]];
+    const start = [0, 0];
+    const decoded = decodePoints(encodePoints(first, start), start);
+    assert.deepEqual(decodePoints(encodePoints(second, first[1]), decoded[1]), second);
+  });
+
+  it("decodes what drawing snaps the points to", () => {
+    const raw = [[0.04, 0.05], [0.1 + 0.2, -0.06], [99.95, -12.34]];
+    const snapped = raw.map(([x, y]) => [snapCoordinate(x), snapCoordinate(y)]);
+    assert.deepEqual(decodePoints(encodePoints(raw, [0, 0]), [0, 0]), snapped);
+    assert.deepEqual(snapped[1], [0.3, -0.1]);
+  });
+
+  it("doesn't drift over a long stroke", () => {
+    let previous = [0, 0];
+    let received = [0, 0];
+    for (let i = 1; i <= 1000; i += 1) {
+      const point = [snapCoordinate(i * 0.1), snapCoordinate(i * -0.3)];
+      [received] = decodePoints(encodePoints([point], previous), received);
+      previous = point;
+    }
+    assert.deepEqual(received, [100, -300]);
+  });
+
+  it("sends pressures as hundredths, only for strokes that have them", () => {
+    assert.equal(encodePoints([[1, 1]], [0, 0]).pressures, undefined);
+    const batch = encodePoints([[1, 1, 0.333], [2, 2, 1], [3, 3, 0]], [0, 0]);
+    assert.deepEqual(batch.pressures, [33, 100, 0]);
+    assert.deepEqual(decodePoints(batch, [0, 0]), [[1, 1, 0.33], [2, 2, 1], [3, 3, 0]]);
+  });
+
+  it("ignores a trailing half point", () => {
+    assert.deepEqual(decodePoints({ deltas: [10, 10, 5] }, [0, 0]), [[1, 1]]);
+  });
+
+  it("sends an empty batch as no deltas", () => {
+    assert.deepEqual(encodePoints([], [5, 5]), { deltas: [] });
+    assert.deepEqual(decodePoints({ deltas: [] }, [5, 5]), []);
+  });
+});
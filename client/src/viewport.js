@@ -0,0 +1,78 @@
+// Viewport math for the infinite board.
+//
+// A viewport is { x, y, zoom }: the world point shown at the top-left corner
+// of the canvas and the scale factor. Board objects and everything synced
+// between clients use world coordinates; only the viewport is per-user.
+//
+//   screen = (world - viewport) * zoom
+
+export const MIN_ZOOM = 0.1;
+export const MAX_ZOOM = 8;
+
+export const DEFAULT_VIEWPORT = { x: 0, y: 0, zoom: 1 };
+
+const clampZoom = (zoom) => Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, zoom));
+
+export const screenToWorld = (viewport, x, y) => ({
+  x: x / viewport.zoom + viewport.x,
+  y: y / viewport.zoom + viewport.y,
+});
+
+export const worldToScreen = (viewport, x, y) => ({
+  x: (x - viewport.x) * viewport.zoom,
+  y: (y - viewport.y) * viewport.zoom,
+});
+
+// Move the view by a distance in screen pixels
+export const panBy = (viewport, dx, dy) => ({
+  ...viewport,
+  x: viewport.x - dx / viewport.zoom,
+  y: viewport.y - dy / viewport.zoom,
+});
+
+// Change the zoom while keeping the world point under (screenX, screenY) fixed
+export const zoomAt = (viewport, zoom, screenX, screenY) => {
+  const nextZoom = clampZoom(zoom);
+  const anchor = screenToWorld(viewport, screenX, screenY);
+  return {
+    x: anchor.x - screenX / nextZoom,
+    y: anchor.y - screenY / nextZoom,
+    zoom: nextZoom,
+  };
+};
+
+// The viewport that shows `bounds` centred in a width x height canvas.
+// Never zooms in past 100%, so a single small sketch isn't blown up.
+export const fitBounds = (bounds, width, height, padding = 40) => {
+  if (!bounds) return DEFAULT_VIEWPORT;
+  const boundsWidth = Math.max(bounds.maxX - bounds.minX, 1);
+  const boundsHeight = Math.max(bounds.maxY - bounds.minY, 1);
+  const zoom = clampZoom(
+    Math.min(1, (width - padding * 2) / boundsWidth, (height - padding * 2) / boundsHeight)
+  );
+  return {
+    x: (bounds.minX + bounds.maxX) / 2 - width / 2 / zoom,
+    y: (bounds.minY + bounds.maxY) / 2 - height / 2 / zoom,
+    zoom,
+  };
+};
+
+// The world area a viewport shows in a width x height canvas
+export const getVisibleArea = (viewport, width, height) => ({
+  x: viewport.x,
+  y: viewport.y,
+  width: width / viewport.zoom,
+  height: height / viewport.zoom,
+});
+
+// The viewport that shows all of a visible area (see getVisibleArea) centred
+// in a width x height canvas, for following someone else's view on a
+// screen of a different size
+export const showArea = (area, width, height) => {
+  const zoom = clampZoom(Math.min(width / area.width, height / area.height));
+  return {
+    x: area.x + area.width / 2 - width / 2 / zoom,
+    y: area.y + area.height / 2 - height / 2 / zoom,
+    zoom,
+  };
+};
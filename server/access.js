@@ -0,0 +1,99 @@
+const crypto = require("crypto");
+
+// Room access control. Rooms created through POST /rooms have an owner and an
+// access record that is saved along with the board:
+//
+//   {
+//     ownerTokenHash,       // sha256 of the owner token, which only the creator gets
+//     editorKey, viewerKey, // secrets carried by the editor and viewer links
+//     private,              // true: joining needs a link (or the owner token)
+//     password,             // { salt, hash } or null
+//   }
+//
+// Rooms without a record (joined by typing any id) stay open to everyone.
+// Owners and editors can change the board; viewers can only watch.
+
+const ROLES = { OWNER: "owner", EDITOR: "editor", VIEWER: "viewer" };
+
+const randomToken = (bytes = 18) => crypto.randomBytes(bytes).toString("base64url");
+
+const createRoomId = () => `room-${crypto.randomBytes(6).toString("hex")}`;
+
+const sha256 = (value) => crypto.createHash("sha256").update(String(value)).digest("hex");
+
+// Constant-time comparison, so secrets can't be guessed byte by byte
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+const hashPassword = (password) => {
+  const salt = crypto.randomBytes(16).toString("hex");
+  return { salt, hash: crypto.scryptSync(String(password), salt, 32).toString("hex") };
+};
+
+const checkPassword = (password, stored) =>
+  Boolean(password) && safeEqual(crypto.scryptSync(String(password), stored.salt, 32).toString("hex"), stored.hash);
+
+// A new access record, plus the owner token to hand back to the creator
+const createAccess = ({ password, private: isPrivate = true } = {}) => {
+  const ownerToken = randomToken(24);
+  return {
+    ownerToken,
+    access: {
+      ownerTokenHash: sha256(ownerToken),
+      editorKey: randomToken(),
+      viewerKey: randomToken(),
+      private: Boolean(isPrivate),
+      password: password ? hashPassword(password) : null,
+    },
+  };
+};
+
+// What someone presenting these credentials may do in a room:
+// { role } on success, or { error, message } explaining the refusal.
+const authorize = (access, { ownerToken, key, password } = {}) => {
+  if (!access) return { role: ROLES.EDITOR };
+  if (ownerToken && safeEqual(sha256(ownerToken), access.ownerTokenHash)) {
+    return { role: ROLES.OWNER };
+  }
+
+  let role = null;
+  if (key && safeEqual(key, access.editorKey)) role = ROLES.EDITOR;
+  else if (key && safeEqual(key, access.viewerKey)) role = ROLES.VIEWER;
+  else if (!access.private) role = ROLES.EDITOR;
+  if (!role) {
+    return { error: "private", message: "This room is private. Ask the owner for a link." };
+  }
+
+  if (access.password) {
+    if (!password) return { error: "password-required", message: "This room is protected by a password" };
+    if (!checkPassword(password, access.password)) return { error: "wrong-password", message: "Wrong password" };
+  }
+  return { role };
+};
+
+// The parts of the record an owner gets to see
+const describeAccess = (access) => ({
+  private: access.private,
+  hasPassword: Boolean(access.password),
+  editorKey: access.editorKey,
+  viewerKey: access.viewerKey,
+});
+
+// Apply an owner's changes. `password` is left alone when undefined, removed
+// when null or empty, and replaced otherwise. `resetLinks` issues new link
+// keys, so old links stop working for anyone who hasn't joined yet.
+const updateAccess = (access, { private: isPrivate, password, resetLinks } = {}) => {
+  const next = { ...access };
+  if (typeof isPrivate === "boolean") next.private = isPrivate;
+  if (password !== undefined) next.password = password ? hashPassword(password) : null;
+  if (resetLinks) {
+    next.editorKey = randomToken();
+    next.viewerKey = randomToken();
+  }
+  return next;
+};
+
+module.exports = { ROLES, authorize, createAccess, createRoomId, describeAccess, updateAccess };
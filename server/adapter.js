@@ -0,0 +1,43 @@
+const { ClusterAdapterWithHeartbeat } = require("socket.io-adapter");
+
+// A Socket.IO adapter that runs over any bus from bus.js. Broadcasts, room
+// joins and fetchSockets() then reach sockets on every instance, and the
+// instances can talk to each other with io.serverSideEmit().
+//
+// Every namespace gets one channel for messages to all instances, plus one
+// per instance for replies addressed to it.
+class BusAdapter extends ClusterAdapterWithHeartbeat {
+  constructor(nsp, bus, { channel, ...options }) {
+    super(nsp, options);
+    this.bus = bus;
+    this.channel = `${channel}#${nsp.name}#`;
+    // Messages from this instance come back on the bus; ClusterAdapter
+    // ignores them by uid
+    bus
+      .subscribe(this.channel, (message) => this.onMessage(JSON.parse(message)))
+      .catch((err) => console.error("Failed to subscribe to the socket bus:", err));
+    bus
+      .subscribe(`${this.channel}${this.uid}#`, (message) => this.onResponse(JSON.parse(message)))
+      .catch((err) => console.error("Failed to subscribe to the socket bus:", err));
+  }
+
+  async doPublish(message) {
+    await this.bus.publish(this.channel, JSON.stringify(message));
+    // Offsets are only used for connection state recovery, which is off
+    return "";
+  }
+
+  async doPublishResponse(requesterUid, response) {
+    await this.bus.publish(`${this.channel}${requesterUid}#`, JSON.stringify(response));
+  }
+}
+
+// For io.adapter(). `channel` prefixes every bus channel the adapter uses.
+const createBusAdapter = (bus, { channel = "whiteboard", ...options } = {}) =>
+  class extends BusAdapter {
+    constructor(nsp) {
+      super(nsp, bus, { channel, ...options });
+    }
+  };
+
+module.exports = { createBusAdapter };
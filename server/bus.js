@@ -0,0 +1,75 @@
+const { createRedisClient } = require("./redis");
+
+// Message buses that let several server instances act as one. Every bus has
+// the same async interface, with messages as strings:
+//
+//   publish(channel, message)
+//   subscribe(channel, handler)  -> handler(message) for every message on channel
+//   close()
+//
+// Messages reach every subscriber, the publishing instance included.
+
+// Relays through the parent process, for instances started by
+// local-cluster.js. Good for trying out a cluster on one machine.
+const createIpcBus = () => {
+  if (!process.send) {
+    throw new Error("SOCKET_BUS=ipc only works for instances started by local-cluster.js");
+  }
+  const handlers = new Map();
+  const onMessage = (envelope) => {
+    if (envelope?.bus !== true) return;
+    (handlers.get(envelope.channel) || []).forEach((handler) => handler(envelope.message));
+  };
+  process.on("message", onMessage);
+
+  return {
+    async publish(channel, message) {
+      process.send({ bus: true, channel, message });
+    },
+    async subscribe(channel, handler) {
+      handlers.set(channel, [...(handlers.get(channel) || []), handler]);
+    },
+    async close() {
+      process.off("message", onMessage);
+      handlers.clear();
+    },
+  };
+};
+
+// Redis pub/sub, for instances on any number of machines
+const createRedisBus = () => {
+  const clients = Promise.all([createRedisClient("SOCKET_BUS=redis"), createRedisClient("SOCKET_BUS=redis")]);
+
+  return {
+    async publish(channel, message) {
+      const [publisher] = await clients;
+      await publisher.publish(channel, message);
+    },
+    async subscribe(channel, handler) {
+      const [, subscriber] = await clients;
+      await subscriber.subscribe(channel, handler);
+    },
+    async close() {
+      const connected = await clients;
+      await Promise.all(connected.map((client) => client.quit()));
+    },
+  };
+};
+
+// Picks the bus from SOCKET_BUS ("ipc" or "redis"). Without one the server
+// runs as a single instance, as it always has, and this returns null.
+const createBus = (type = process.env.SOCKET_BUS) => {
+  switch (type) {
+    case undefined:
+    case "":
+      return null;
+    case "ipc":
+      return createIpcBus();
+    case "redis":
+      return createRedisBus();
+    default:
+      throw new Error(`Unknown socket bus "${type}"`);
+  }
+};
+
+module.exports = { createBus };
@@ -0,0 +1,45 @@
+const { fork } = require("child_process");
+const path = require("path");
+
+// Runs several server instances on consecutive ports, joined through an IPC
+// bus that this process relays. A stand-in for a real cluster behind a load
+// balancer, for trying one out on a single machine:
+//
+//   INSTANCES=3 PORT=5000 node local-cluster.js   -> ports 5000, 5001 and 5002
+//
+// The instances share boards through file storage, so BOARD_STORAGE=memory
+// won't do here.
+
+const INSTANCES = Number(process.env.INSTANCES) || 2;
+const BASE_PORT = Number(process.env.PORT) || 5000;
+
+if (process.env.BOARD_STORAGE === "memory") {
+  console.error("Instances can't share memory storage; use file (the default) or redis");
+  process.exit(1);
+}
+
+const instances = Array.from({ length: INSTANCES }, (_, i) =>
+  fork(path.join(__dirname, "server.js"), {
+    env: { ...process.env, PORT: String(BASE_PORT + i), SOCKET_BUS: "ipc" },
+  })
+);
+
+// Like Redis pub/sub, every message goes to every instance, the sender included
+instances.forEach((instance) => {
+  instance.on("message", (envelope) => {
+    if (envelope?.bus !== true) return;
+    instances.forEach((other) => {
+      if (other.connected) other.send(envelope);
+    });
+  });
+  instance.on("exit", (code) => {
+    console.log(`Instance ${instance.pid} exited with code ${code}`);
+  });
+});
+
+const shutdown = () => {
+  instances.forEach((instance) => instance.kill("SIGTERM"));
+};
+
+process.on("SIGINT", shutdown);
+process.on("SIGTERM", shutdown);
@@ -0,0 +1,67 @@
+// Token-bucket rate limiting. Each bucket holds up to `burst` tokens and
+// refills at `perSecond`; every event spends one token.
+
+const createBucket = ({ perSecond, burst }) => {
+  let tokens = burst;
+  let last = Date.now();
+  return {
+    take() {
+      const now = Date.now();
+      tokens = Math.min(burst, tokens + ((now - last) / 1000) * perSecond);
+      last = now;
+      if (tokens < 1) return false;
+      tokens -= 1;
+      return true;
+    },
+  };
+};
+
+// Limits per group of socket events. Live previews fire on every pointer
+// move, so they get the most headroom.
+const EVENT_LIMITS = {
+  live: { perSecond: 240, burst: 480 },
+  "board-op": { perSecond: 40, burst: 80 },
+  // Big document updates come in parts of up to 256 KB
+  "doc-update-part": { perSecond: 40, burst: 120 },
+  clear: { perSecond: 1, burst: 5 },
+  // Joining and access changes can hash passwords, which is slow on purpose
+  "join-room": { perSecond: 0.5, burst: 5 },
+  "update-access": { perSecond: 0.5, burst: 5 },
+  // Starting a presentation moves everyone's view
+  present: { perSecond: 1, burst: 5 },
+  // A restore rewrites the whole board
+  "restore-revision": { perSecond: 0.2, burst: 3 },
+};
+
+const EVENT_GROUPS = {
+  "start-draw": "live",
+  drawing: "live",
+  "end-draw": "live",
+  "start-shape": "live",
+  "drawing-shape": "live",
+  "end-shape": "live",
+  "cursor-move": "live",
+  viewport: "live",
+  laser: "live",
+  "clear-canvas": "clear",
+  clear: "clear",
+  // Board changes share one budget however they're sent
+  "doc-update": "board-op",
+};
+
+// One limiter per socket. `allow(event)` says whether the event fits in its
+// group's budget right now.
+const createRateLimiter = () => {
+  const buckets = new Map();
+  return {
+    allow(event) {
+      const group = EVENT_GROUPS[event] || event;
+      const limits = EVENT_LIMITS[group];
+      if (!limits) return true;
+      if (!buckets.has(group)) buckets.set(group, createBucket(limits));
+      return buckets.get(group).take();
+    },
+  };
+};
+
+module.exports = { createBucket, createRateLimiter };
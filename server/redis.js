@@ -0,0 +1,21 @@
+// Redis is only needed when boards or socket events are shared through it,
+// so the client library is an optional install: `npm install redis`.
+
+const loadRedis = (feature) => {
+  try {
+    return require("redis");
+  } catch (err) {
+    if (err.code !== "MODULE_NOT_FOUND") throw err;
+    throw new Error(`${feature} needs the "redis" package. Install it with: npm install redis`);
+  }
+};
+
+// A connected client for REDIS_URL (redis://localhost:6379 by default)
+const createRedisClient = async (feature, url = process.env.REDIS_URL || "redis://localhost:6379") => {
+  const client = loadRedis(feature).createClient({ url });
+  client.on("error", (err) => console.error("Redis error:", err));
+  await client.connect();
+  return client;
+};
+
+module.exports = { createRedisClient };
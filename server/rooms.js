@@ -0,0 +1,345 @@
+const crypto = require("crypto");
+const {
+  applyToDoc, applyUpdate, captureUpdate, createBoardDoc, docFromObjects, encodeDoc, loadDoc, mergeUpdates, readObjects,
+} = require("./sync");
+const { findInvalidObjects } = require("./validation");
+
+// Live room state. Each room holds its board document and who is connected:
+//
+//   { doc, generation, objects, updatedAt, access, members: Map<socketId, { id, name, color, role, joinedAt }>, authors }
+//
+// `doc` is the shared document (see sync.js) every change goes through, and
+// `objects` the board read out of it after each change. `generation` names
+// the document: deleting the board starts a new one, and clients holding a
+// copy of an older one start over instead of merging it back in.
+// `access` is the room's access record (see access.js), or null for open rooms.
+// `authors` collects who changed the board since its last revision.
+//
+// Boards are loaded from storage the first time a room is used, saved
+// shortly after each change, and dropped from memory once everyone leaves.
+//
+// When several server instances share a room, each keeps its own copy in
+// step with the others' through `mirror`, and only the instance where a
+// change was made saves it. `fetchLive(roomId)` asks the other instances for
+// a copy that may be newer than the stored one; it resolves to a board
+// (see storage.js) or null.
+// Revisions (see storage.js) are snapshots taken as the board changes, so
+// the board can be looked at, restored or forked as it was earlier.
+
+// Changes are batched into one write per room this often
+const SAVE_DELAY_MS = 1000;
+
+// Changes are grouped into at most one revision per room this often
+const REVISION_INTERVAL_MS = 10000;
+
+// Older revisions are dropped once a room has this many
+const MAX_REVISIONS = 200;
+
+const createRevisionId = () => `${Date.now().toString(36)}-${crypto.randomBytes(4).toString("hex")}`;
+
+// Boards saved before generations, and rooms that have never been saved
+const INITIAL_GENERATION = "initial";
+
+const createGeneration = () => crypto.randomBytes(8).toString("hex");
+
+const createRoomStore = (storage, { fetchLive = async () => null } = {}) => {
+  const rooms = new Map();
+  const loading = new Map();
+  const saveTimers = new Map();
+  const revisionTimers = new Map();
+  // Revisions are appended one at a time per room
+  const revisionWrites = new Map();
+
+  const toBoard = (roomId, room) => ({
+    id: roomId,
+    objects: room.objects,
+    updatedAt: room.updatedAt,
+    access: room.access,
+    doc: encodeDoc(room.doc),
+    generation: room.generation,
+  });
+
+  // Rooms that are already in memory, or undefined
+  const get = (roomId) => rooms.get(roomId);
+
+  const load = (roomId) => {
+    if (rooms.has(roomId)) return Promise.resolve(rooms.get(roomId));
+    if (!loading.has(roomId)) {
+      // Another instance may have changes that haven't been saved yet
+      const pending = fetchLive(roomId)
+        .catch((err) => {
+          console.error(`Failed to fetch room ${roomId} from other instances:`, err);
+          return null;
+        })
+        .then((live) => live || storage.load(roomId))
+        .then((board) => {
+          const doc = loadDoc(board);
+          const room = {
+            doc,
+            generation: board?.generation || INITIAL_GENERATION,
+            objects: readObjects(doc),
+            updatedAt: board?.updatedAt || null,
+            access: board?.access || null,
+            members: new Map(),
+            authors: new Map(),
+          };
+          rooms.set(roomId, room);
+          return room;
+        })
+        .finally(() => loading.delete(roomId));
+      loading.set(roomId, pending);
+    }
+    return loading.get(roomId);
+  };
+
+  const save = async (roomId) => {
+    clearTimeout(saveTimers.get(roomId));
+    saveTimers.delete(roomId);
+    const room = rooms.get(roomId);
+    if (!room) return;
+    await storage.save(roomId, toBoard(roomId, room));
+  };
+
+  const scheduleSave = (roomId) => {
+    if (saveTimers.has(roomId)) return;
+    saveTimers.set(
+      roomId,
+      setTimeout(() => {
+        save(roomId).catch((err) => console.error(`Failed to save room ${roomId}:`, err));
+      }, SAVE_DELAY_MS)
+    );
+  };
+
+  // Snapshot the board as it is now. `label` notes why, for revisions that
+  // aren't just a batch of edits.
+  const recordRevision = (roomId, label = null) => {
+    clearTimeout(revisionTimers.get(roomId));
+    revisionTimers.delete(roomId);
+    const room = rooms.get(roomId);
+    if (!room) return Promise.resolve();
+    const revision = {
+      id: createRevisionId(),
+      at: Date.now(),
+      authors: [...room.authors.values()],
+      label,
+      objectCount: room.objects.length,
+      objects: room.objects,
+    };
+    room.authors = new Map();
+    const write = (revisionWrites.get(roomId) || Promise.resolve())
+      .then(() => storage.addRevision(roomId, revision, MAX_REVISIONS))
+      .finally(() => {
+        if (revisionWrites.get(roomId) === write) revisionWrites.delete(roomId);
+      });
+    revisionWrites.set(roomId, write);
+    return write;
+  };
+
+  const scheduleRevision = (roomId) => {
+    if (revisionTimers.has(roomId)) return;
+    revisionTimers.set(
+      roomId,
+      setTimeout(() => {
+        recordRevision(roomId).catch((err) => console.error(`Failed to record a revision of room ${roomId}:`, err));
+      }, REVISION_INTERVAL_MS)
+    );
+  };
+
+  // Pick up a change to the room's document. `author` is the member making
+  // the change, if any.
+  const changed = (roomId, room, author) => {
+    room.objects = readObjects(room.doc, room.objects);
+    room.updatedAt = Date.now();
+    if (author) {
+      room.authors.set(author.name, { name: author.name, color: author.color });
+    }
+    scheduleSave(roomId);
+    scheduleRevision(roomId);
+  };
+
+  // Merge a document update from a client. Objects it leaves invalid (see
+  // validation.js) are removed again straight away. Returns
+  // { update, repair, error }: what to pass on to the rest of the room, the
+  // removal the sender still needs and what was wrong, both null if
+  // nothing was. Throws if the update can't be decoded.
+  const applyDocUpdate = (roomId, update, author) => {
+    const room = rooms.get(roomId);
+    if (!room) return null;
+    const invalid = new Map();
+    const check = (transaction) => {
+      findInvalidObjects(room.doc, transaction).forEach((error, id) => invalid.set(id, error));
+    };
+    room.doc.on("afterTransaction", check);
+    try {
+      applyUpdate(room.doc, update);
+    } finally {
+      room.doc.off("afterTransaction", check);
+    }
+    let repair = null;
+    if (invalid.size > 0) {
+      repair = captureUpdate(room.doc, () => applyToDoc(room.doc, { type: "remove", ids: [...invalid.keys()] }));
+    }
+    changed(roomId, room, author);
+    return {
+      update: repair ? mergeUpdates([update, repair]) : update,
+      repair,
+      error: invalid.size > 0 ? [...invalid.values()][0] : null,
+    };
+  };
+
+  // Make a board operation (see shared/board.js) here on the server.
+  // Returns the document update it made, for sending to the room.
+  const applyOp = (roomId, op, author) => {
+    const room = rooms.get(roomId);
+    if (!room) return null;
+    const update = captureUpdate(room.doc, () => applyToDoc(room.doc, op));
+    changed(roomId, room, author);
+    return update;
+  };
+
+  // Register a new room with its access record. It is written out right away
+  // so the room exists even if nobody joins it before a restart. Forks start
+  // out with `objects` and a first revision saying where they came from.
+  const create = async (roomId, access, { objects = [], label = null } = {}) => {
+    const room = await load(roomId);
+    room.access = access;
+    room.doc = docFromObjects(objects);
+    room.generation = createGeneration();
+    room.objects = readObjects(room.doc);
+    room.updatedAt = Date.now();
+    await save(roomId);
+    if (label) {
+      await recordRevision(roomId, label);
+    }
+    await release(roomId);
+  };
+
+  // Start the room over on an empty document of a new generation, dropping
+  // any save or revision still to come
+  const reset = (roomId, room, generation) => {
+    clearTimeout(saveTimers.get(roomId));
+    saveTimers.delete(roomId);
+    clearTimeout(revisionTimers.get(roomId));
+    revisionTimers.delete(roomId);
+    room.doc = createBoardDoc();
+    room.generation = generation;
+    room.objects = [];
+    room.updatedAt = null;
+    room.authors = new Map();
+  };
+
+  // Follow a change another instance made to a room this one has in memory:
+  // { update }, { access } or { removed: true, generation }
+  const mirror = (roomId, change) => {
+    const room = rooms.get(roomId);
+    if (!room) return;
+    if (change.update) {
+      applyUpdate(room.doc, change.update);
+      room.objects = readObjects(room.doc, room.objects);
+      room.updatedAt = Date.now();
+    } else if (change.access) {
+      room.access = change.access;
+    } else if (change.removed) {
+      reset(roomId, room, change.generation);
+    }
+  };
+
+  const listRevisions = (roomId) => storage.listRevisions(roomId);
+
+  const getRevision = (roomId, revisionId) => storage.loadRevision(roomId, revisionId);
+
+  // Put the board back the way it was at a revision. Returns the document
+  // update that did it, for sending to the room, or null if there's no such
+  // revision, or the board was deleted since `generation` (the one the
+  // restore was asked for on).
+  const restore = async (roomId, revisionId, author, generation) => {
+    const isCurrent = () => rooms.has(roomId) && rooms.get(roomId).generation === generation;
+    if (!isCurrent()) return null;
+    const revision = await storage.loadRevision(roomId, revisionId);
+    if (!revision || !isCurrent()) return null;
+    // Whatever changed since the last revision is kept as its own revision
+    if (revisionTimers.has(roomId)) {
+      await recordRevision(roomId);
+    }
+    if (!isCurrent()) return null;
+    const room = rooms.get(roomId);
+    const update = captureUpdate(room.doc, () =>
+      room.doc.transact(() => {
+        applyToDoc(room.doc, { type: "clear" });
+        applyToDoc(room.doc, { type: "add", objects: revision.objects });
+      })
+    );
+    changed(roomId, room, author);
+    await recordRevision(roomId, "Restored an earlier version");
+    return update;
+  };
+
+  const setAccess = (roomId, access) => {
+    const room = rooms.get(roomId);
+    if (!room) return;
+    room.access = access;
+    scheduleSave(roomId);
+  };
+
+  // Write out and forget a room nobody is connected to any more
+  const release = async (roomId) => {
+    const room = rooms.get(roomId);
+    if (!room || room.members.size > 0) return;
+    if (revisionTimers.has(roomId)) {
+      await recordRevision(roomId);
+    }
+    if (saveTimers.has(roomId)) {
+      await save(roomId);
+    }
+    // Someone may have rejoined while the board was being written
+    if (room.members.size === 0) {
+      rooms.delete(roomId);
+    }
+  };
+
+  // The stored board, preferring the live copy if the room is in use.
+  // Deleted boards are null.
+  const getBoard = async (roomId) => {
+    const room = rooms.get(roomId);
+    if (room) return toBoard(roomId, room);
+    const board = await storage.load(roomId);
+    return board?.deleted ? null : board;
+  };
+
+  const list = () => storage.list();
+
+  // Delete the board and its history. What stays behind is a tombstone with
+  // the room's access, so the room stays as private as it was, and a new
+  // generation, so copies of the deleted board are never merged back in.
+  // Resolves to the new generation, or null if there was no board.
+  const remove = async (roomId) => {
+    const room = rooms.get(roomId);
+    const wasLive = Boolean(room && room.updatedAt);
+    const generation = createGeneration();
+    if (room) {
+      reset(roomId, room, generation);
+    }
+    await revisionWrites.get(roomId)?.catch(() => {});
+    const access = room ? room.access : (await storage.load(roomId))?.access || null;
+    const removed = (await storage.remove(roomId)) || wasLive;
+    if (!removed) return null;
+    await storage.save(roomId, { id: roomId, objects: [], updatedAt: null, access, generation, deleted: true });
+    if (room && room.members.size === 0) {
+      rooms.delete(roomId);
+    }
+    return generation;
+  };
+
+  const flushAll = () =>
+    Promise.all([
+      ...[...revisionTimers.keys()].map((roomId) => recordRevision(roomId)),
+      ...[...saveTimers.keys()].map(save),
+    ]);
+
+  return {
+    get, load, create, applyOp, applyDocUpdate, setAccess, release, getBoard, list, remove, flushAll,
+    listRevisions, getRevision, restore, mirror,
+  };
+};
+
+module.exports = { createRoomStore };
@@ -0,0 +1,60 @@
+const assert = require("node:assert/strict");
+const { describe, it } = require("node:test");
+const { createRoomStore } = require("./rooms");
+const { createMemoryStorage } = require("./storage");
+
+const text = { id: "t1", type: "text", x: 0, y: 0, text: "hi", style: { color: "#1e293b", fontSize: 16 } };
+
+// A room with one text, a revision of it and someone in it
+const makeRoom = async () => {
+  const rooms = createRoomStore(createMemoryStorage());
+  await rooms.create("room", null, { objects: [text], label: "Created" });
+  const room = await rooms.load("room");
+  room.members.set("socket", { id: "socket", name: "Ada" });
+  const [revision] = await rooms.listRevisions("room");
+  return { rooms, room, revision };
+};
+
+describe("restoring revisions", () => {
+  it("puts the board back the way it was", async () => {
+    const { rooms, room, revision } = await makeRoom();
+    rooms.applyOp("room", { type: "clear" });
+    assert.ok(await rooms.restore("room", revision.id, null, room.generation));
+    assert.deepEqual(rooms.get("room").objects.map((obj) => obj.id), ["t1"]);
+    await rooms.flushAll();
+  });
+
+  it("never brings back a board that was deleted", async () => {
+    const { rooms, room, revision } = await makeRoom();
+    const { generation } = room;
+    await rooms.remove("room");
+    assert.equal(await rooms.restore("room", revision.id, null, generation), null);
+    assert.deepEqual(rooms.get("room").objects, []);
+  });
+
+  it("gives up on a restore the board is deleted during", async () => {
+    const { rooms, room, revision } = await makeRoom();
+    const restoring = rooms.restore("room", revision.id, null, room.generation);
+    const removing = rooms.remove("room");
+    assert.equal(await restoring, null);
+    await removing;
+    assert.deepEqual(rooms.get("room").objects, []);
+  });
+});
+
+describe("applying operations", () => {
+  it("routes a connector to both its objects when they're moved at once", async () => {
+    const { rooms } = await makeRoom();
+    const box = (id, x) => ({ id, type: "shape", shape: "rectangle", style: {}, x1: x, y1: 0, x2: x + 100, y2: 100 });
+    const connector = { id: "c1", type: "connector", style: {}, from: "s1", to: "s2", x1: 0, y1: 0, x2: 0, y2: 0 };
+    rooms.applyOp("room", { type: "add", objects: [box("s1", 0), box("s2", 300), connector] });
+    // Each moves one box down, re-routing the connector from where the other
+    // box used to be
+    const moveDown = (id) => ({ id, y1: 200, y2: 300 });
+    rooms.applyOp("room", { type: "update", changes: [moveDown("s1"), { id: "c1", x1: 100, y1: 150, x2: 300, y2: 100 }] });
+    rooms.applyOp("room", { type: "update", changes: [moveDown("s2"), { id: "c1", x1: 100, y1: 100, x2: 300, y2: 150 }] });
+    const { x1, y1, x2, y2 } = rooms.get("room").objects.find((obj) => obj.id === "c1");
+    assert.deepEqual({ x1, y1, x2, y2 }, { x1: 100, y1: 250, x2: 300, y2: 250 });
+    await rooms.flushAll();
+  });
+});
@@ -2,15 +2,185 @@ const express = require("express");
 const http = require("http");
 const { Server } = require("socket.io");
 const cors = require("cors");
+const { createStorage } = require("./storage");
+const { createRoomStore } = require("./rooms");
+const { encodeDoc, getStateVector } = require("./sync");
+const { getPageObjects, getPages, stackPages } = require("../shared/board.js");
+const { boardToSvg } = require("../shared/exportSvg.js");
+const { ROLES, authorize, createAccess, createRoomId, describeAccess, updateAccess } = require("./access");
+const { validateEvent } = require("./validation");
+const { createBucket, createRateLimiter } = require("./rateLimit");
+const { createBus } = require("./bus");
+const { createBusAdapter } = require("./adapter");
 
 const app = express();
 app.use(cors());
+app.use(express.json());
+
+// With a bus (see bus.js) this is one of several instances sharing rooms:
+// socket events reach every instance through the adapter, and each instance
+// keeps its copy of a room in step with the others
+const bus = createBus();
+
+// Another instance's copy of a room, if one has it in memory. The most
+// recently changed copy wins.
+const fetchLive = async (roomId) => {
+  if (!bus) return null;
+  const copies = await io.serverSideEmitWithAck("room-snapshot", roomId);
+  return copies.filter(Boolean).sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0))[0] || null;
+};
+
+// Boards are kept in memory while in use and persisted through `storage`
+const rooms = createRoomStore(createStorage(), { fetchLive });
+
+// Let the other instances know about a change made here: { update },
+// { access } or { removed: true }
+const shareChange = (roomId, change) => {
+  if (bus) io.serverSideEmit("room-change", roomId, change);
+};
 
 // Test route to verify backend is running
 app.get("/", (req, res) => {
   res.send("Whiteboard Backend is Running 🚀");
 });
 
+// REST routes take the same credentials as join-room: the owner token as a
+// bearer token, a link key as ?key= and the password in X-Room-Password
+const authorizeRequest = (board, req) =>
+  authorize(board.access, {
+    ownerToken: req.get("authorization")?.replace(/^Bearer\s+/i, ""),
+    key: req.query.key,
+    password: req.get("x-room-password"),
+  });
+
+// Boards go out without their access record or shared document
+const publicBoard = ({ access, doc, generation, ...board }) => ({ ...board, private: Boolean(access?.private) });
+
+// Looks up a board and checks the request's credentials for it. Sends the
+// error response and returns null if either fails.
+const loadAuthorizedBoard = async (req, res) => {
+  const board = await rooms.getBoard(req.params.id);
+  if (!board) {
+    res.status(404).json({ error: "Board not found" });
+    return null;
+  }
+  const { role, error, message } = authorizeRequest(board, req);
+  if (error) {
+    res.status(403).json({ error: message });
+    return null;
+  }
+  return { board, role };
+};
+
+// Create a room with an owner. The owner token is only returned here.
+app.post("/rooms", async (req, res) => {
+  const roomId = createRoomId();
+  const { ownerToken, access } = createAccess({
+    password: req.body?.password,
+    private: req.body?.private !== false,
+  });
+  await rooms.create(roomId, access);
+  res.status(201).json({ roomId, ownerToken, ...describeAccess(access) });
+});
+
+// Saved boards. Private rooms are left out of the list.
+app.get("/boards", async (req, res) => {
+  res.json((await rooms.list()).filter((board) => !board.private));
+});
+
+app.get("/boards/:id", async (req, res) => {
+  const board = await rooms.getBoard(req.params.id);
+  if (!board) {
+    return res.status(404).json({ error: "Board not found" });
+  }
+  const { error, message } = authorizeRequest(board, req);
+  if (error) {
+    return res.status(403).json({ error: message });
+  }
+  res.json(publicBoard(board));
+});
+
+// Only the owner can delete a room that has one
+app.delete("/boards/:id", async (req, res) => {
+  const board = await rooms.getBoard(req.params.id);
+  if (!board) {
+    return res.status(404).json({ error: "Board not found" });
+  }
+  const { role, error, message } = authorizeRequest(board, req);
+  if (error || (board.access && role !== ROLES.OWNER)) {
+    return res.status(403).json({ error: message || "Only the room owner can delete this board" });
+  }
+  const generation = await rooms.remove(req.params.id);
+  if (!generation) {
+    return res.status(404).json({ error: "Board not found" });
+  }
+  shareChange(req.params.id, { removed: true, generation });
+  // Anyone still in the room sees the board disappear, and has to rejoin
+  // before changing the new one
+  io.to(req.params.id).emit("clear", req.params.id);
+  res.status(204).end();
+});
+
+// The board as a standalone SVG, for embedding in docs: every page, one
+// under another. Pass ?page= (a page number or id) for just that page,
+// ?background=transparent (or any CSS color) to change the white backdrop,
+// and a viewer link's ?key= for private rooms.
+app.get("/rooms/:id/export.svg", async (req, res) => {
+  const board = await rooms.getBoard(req.params.id);
+  if (!board) {
+    return res.status(404).json({ error: "Board not found" });
+  }
+  const { error, message } = authorizeRequest(board, req);
+  if (error) {
+    return res.status(403).json({ error: message });
+  }
+  let objects;
+  const { page } = req.query;
+  if (page === undefined || page === "all") {
+    objects = stackPages(board.objects);
+  } else {
+    const pages = getPages(board.objects);
+    const found = pages.find((obj) => obj.id === page) || pages[Number(page) - 1];
+    if (!found) {
+      return res.status(404).json({ error: "Page not found" });
+    }
+    objects = getPageObjects(board.objects, found.id);
+  }
+  const background = req.query.background || "#ffffff";
+  res.type("image/svg+xml");
+  res.set("Cache-Control", "no-cache");
+  res.send(boardToSvg(objects, { background: background === "transparent" ? null : background }));
+});
+
+// Version history: revisions are listed without their objects, oldest first
+app.get("/rooms/:id/revisions", async (req, res) => {
+  if (!(await loadAuthorizedBoard(req, res))) return;
+  res.json(await rooms.listRevisions(req.params.id));
+});
+
+app.get("/rooms/:id/revisions/:revisionId", async (req, res) => {
+  if (!(await loadAuthorizedBoard(req, res))) return;
+  const revision = await rooms.getRevision(req.params.id, req.params.revisionId);
+  if (!revision) {
+    return res.status(404).json({ error: "Revision not found" });
+  }
+  res.json(revision);
+});
+
+// Copy a revision into a brand new room, owned by whoever forked it. Anyone
+// who can see the board can fork it, viewers included.
+app.post("/rooms/:id/revisions/:revisionId/fork", async (req, res) => {
+  if (!(await loadAuthorizedBoard(req, res))) return;
+  const revision = await rooms.getRevision(req.params.id, req.params.revisionId);
+  if (!revision) {
+    return res.status(404).json({ error: "Revision not found" });
+  }
+  const roomId = createRoomId();
+  const { ownerToken, access } = createAccess({ private: req.body?.private !== false });
+  await rooms.create(roomId, access, { objects: revision.objects, label: `Forked from ${req.params.id}` });
+  res.status(201).json({ roomId, ownerToken, ...describeAccess(access) });
+});
+
 const server = http.createServer(app);
 const io = new Server(server, {
   cors: {
@@ -21,82 +191,407 @@ const io = new Server(server, {
     ],
     methods: ["GET", "POST"],
   },
+  // Every message stays small, whoever sends it. Bigger document updates
+  // (imported images travel inline, up to ~1.5 MB each) come in parts that
+  // only editors may send (see "doc-update-part"). validation.js caps each
+  // event type.
+  maxHttpBufferSize: 512 * 1024,
+  adapter: bus ? createBusAdapter(bus) : undefined,
 });
 
+if (bus) {
+  io.on("room-snapshot", (roomId, reply) => {
+    const room = rooms.get(roomId);
+    if (!room) return reply(null);
+    const { objects, updatedAt, access, generation } = room;
+    reply({ objects, updatedAt, access, doc: encodeDoc(room.doc), generation });
+  });
+  io.on("room-change", (roomId, change) => rooms.mirror(roomId, change));
+}
+
+// Colors handed out to participants, matching USER_COLORS in the client
+const USER_COLORS = [
+  "#ef4444", "#f97316", "#eab308", "#22c55e",
+  "#06b6d4", "#3b82f6", "#8b5cf6", "#ec4899",
+];
+
+const pickColor = (members) => {
+  const used = new Set(members.map((member) => member.color));
+  return USER_COLORS.find((color) => !used.has(color)) || USER_COLORS[members.length % USER_COLORS.length];
+};
+
+const cleanName = (name, socketId) =>
+  String(name || "").trim().slice(0, 32) || `Guest ${socketId.slice(0, 4).toUpperCase()}`;
+
+// Everyone in the room, on every instance
+const listMembers = async (roomId) =>
+  (await io.in(roomId).fetchSockets()).map((socket) => socket.data.member).filter(Boolean);
+
+const sendMembers = (roomId) =>
+  listMembers(roomId)
+    .then((users) => io.to(roomId).emit("room-users", { roomId, users }))
+    .catch((err) => console.error(`Failed to list members of room ${roomId}:`, err));
+
+// Every refused event costs a strike. A socket gets this many, earning one
+// back every five seconds, before it is disconnected.
+const STRIKE_LIMITS = { perSecond: 0.2, burst: 20 };
+
 io.on("connection", (socket) => {
   console.log("User connected:", socket.id);
 
-  socket.on("join-room", (roomId) => {
+  const limiter = createRateLimiter();
+  const strikes = createBucket(STRIKE_LIMITS);
+
+  // Tell the client why an event was refused, and cut off repeat offenders
+  const reject = (event, message) => {
+    socket.emit("error", { event, message });
+    if (!strikes.take()) {
+      console.warn(`Disconnecting ${socket.id} after repeated refused events`);
+      socket.disconnect(true);
+    }
+  };
+
+  // Every incoming event is rate limited and checked against its schema
+  // (see validation.js) before any handler sees it
+  socket.use(([event, data], next) => {
+    if (!limiter.allow(event)) {
+      return reject(event, `Too many "${event}" events, slow down`);
+    }
+    const error = validateEvent(event, data);
+    if (error) {
+      return reject(event, error);
+    }
+    next();
+  });
+
+  const leaveCurrentRoom = () => {
+    const { roomId } = socket.data;
+    if (!roomId) return;
+    socket.leave(roomId);
+    socket.data.roomId = null;
+    socket.data.role = null;
+    socket.data.generation = null;
+    socket.data.member = null;
+    const room = rooms.get(roomId);
+    if (!room) return;
+    room.members.delete(socket.id);
+    io.to(roomId).emit("user-left", { userId: socket.id });
+    sendMembers(roomId);
+    rooms.release(roomId).catch((err) => console.error(`Failed to release room ${roomId}:`, err));
+  };
+
+  // Live previews and board changes only count from sockets that joined the
+  // room with edit rights
+  const canEdit = (roomId) =>
+    Boolean(roomId) && roomId === socket.data.roomId && socket.data.role !== ROLES.VIEWER;
+
+  const rejectEdit = (event) => reject(event, "You can't change this board");
+
+  // Changes only count against the document the socket joined: once the
+  // board has been deleted, they wait for a rejoin
+  const isDeleted = (roomId) => socket.data.generation !== rooms.get(roomId)?.generation;
+  const rejectDeleted = (event) => reject(event, "This board was deleted, rejoin it to keep editing");
+
+  // Who changes are recorded against in the board's history
+  const getAuthor = () => rooms.get(socket.data.roomId)?.members.get(socket.id);
+
+  socket.on("join-room", async (payload) => {
+    // Older clients send just the room id. Clients rejoining with a copy of
+    // the board's document send its state vector, to get only what they missed,
+    // and the document's generation.
+    const { roomId, name, stateVector, generation, ...credentials } =
+      typeof payload === "string" ? { roomId: payload } : payload;
+    if (socket.data.roomId && socket.data.roomId !== roomId) {
+      leaveCurrentRoom();
+    }
+
+    // Picked before loading: from loading the room until the member is in it
+    // nothing may wait, or the room could be released in between
+    let color = rooms.get(roomId)?.members.get(socket.id)?.color;
+    if (!color) {
+      try {
+        color = pickColor(await listMembers(roomId));
+      } catch (err) {
+        console.error(`Failed to list members of room ${roomId}:`, err);
+        color = pickColor([...(rooms.get(roomId)?.members.values() || [])]);
+      }
+      if (socket.disconnected) return;
+    }
+
+    let room;
+    try {
+      // The last member may leave while this waits, releasing the room; join
+      // whichever copy is live once it's done
+      do {
+        room = await rooms.load(roomId);
+      } while (rooms.get(roomId) !== room);
+    } catch (err) {
+      console.error(`Failed to load room ${roomId}:`, err);
+      socket.emit("error", { message: "Could not load this board, please try again" });
+      return;
+    }
+    // The socket may have gone away while the board was loading
+    if (socket.disconnected) return;
+
+    const { role, error, message } = authorize(room.access, credentials);
+    if (error) {
+      socket.emit("join-error", { roomId, reason: error, message });
+      rooms.release(roomId).catch((err) => console.error(`Failed to release room ${roomId}:`, err));
+      return;
+    }
+
+    const member = {
+      id: socket.id,
+      name: cleanName(name, socket.id),
+      color,
+      role,
+      joinedAt: Date.now(),
+    };
+    room.members.set(socket.id, member);
+    socket.data.roomId = roomId;
+    socket.data.role = role;
+    socket.data.member = member;
+    socket.data.generation = room.generation;
     socket.join(roomId);
-    console.log(`User joined room: ${roomId}`);
+    console.log(`${member.name} joined room: ${roomId} as ${role}`);
+
+    // Send the existing board so late joiners don't start on a blank canvas,
+    // as a document update along with the room's state vector so the client
+    // can send back whatever the room hasn't seen. Owners also get the room's
+    // links and settings. A copy of a deleted board's document gets the new
+    // one whole, to start over with.
+    let update;
+    try {
+      update = encodeDoc(room.doc, generation && generation !== room.generation ? undefined : stateVector);
+    } catch {
+      // A state vector that doesn't decode just means sending everything
+      update = encodeDoc(room.doc);
+    }
+    socket.emit("room-state", {
+      roomId,
+      update,
+      stateVector: getStateVector(room.doc),
+      generation: room.generation,
+      self: member,
+      access: role === ROLES.OWNER ? describeAccess(room.access) : null,
+    });
     
     // Notify others in the room about new user
-    socket.to(roomId).emit("user-joined", { userId: socket.id });
+    socket.to(roomId).emit("user-joined", { userId: socket.id, name: member.name, color: member.color });
+    sendMembers(roomId);
   });
 
+  // Live stroke preview. Events carry the stroke id and are stamped with the
+  // sender so receivers can keep concurrent strokes apart.
   socket.on("start-draw", (data) => {
-    socket.to(data.roomId).emit("start-draw", data);
+    if (!canEdit(data.roomId)) return rejectEdit("start-draw");
+    socket.to(data.roomId).emit("start-draw", { ...data, userId: socket.id });
   });
 
+  // Points arrive in per-frame batches (see client/src/transport.js)
   socket.on("drawing", (data) => {
-    socket.to(data.roomId).emit("drawing", data);
+    if (!canEdit(data.roomId)) return rejectEdit("drawing");
+    const { roomId, id, deltas, pressures } = data;
+    socket.to(roomId).emit("drawing", { roomId, id, deltas, pressures, userId: socket.id });
   });
 
   socket.on("end-draw", (data) => {
-    socket.to(data.roomId).emit("end-draw", data);
+    if (!canEdit(data.roomId)) return rejectEdit("end-draw");
+    socket.to(data.roomId).emit("end-draw", { ...data, userId: socket.id });
   });
 
-  // Cursor position tracking
+  // Cursor position tracking. Cursors also say which page their owner is
+  // on, which the member list keeps for people joining later.
   socket.on("cursor-move", (data) => {
+    if (data.roomId !== socket.data.roomId) return;
+    const member = rooms.get(data.roomId)?.members.get(socket.id);
+    if (!member) return;
+    if (data.page) member.page = data.page;
     socket.to(data.roomId).emit("cursor-move", {
       userId: socket.id,
       x: data.x,
       y: data.y,
-      color: data.color,
+      page: member.page,
+      name: member.name,
+      color: member.color,
     });
   });
 
-  // Shape drawing events
+  // Presenting: the member list says who presents (the latest to start
+  // wins), and their viewport goes to the room so others can follow it. The
+  // last viewport is kept on the member for people who join mid-way. Only
+  // editors present, so viewers can't take over everyone's view.
+  const rejectPresent = (event) => reject(event, "Only editors can present");
+
+  socket.on("present", (data) => {
+    if (!canEdit(data.roomId)) return rejectPresent("present");
+    const member = rooms.get(data.roomId)?.members.get(socket.id);
+    if (!member) return;
+    member.presenting = data.presenting ? Date.now() : null;
+    if (!data.presenting) delete member.viewport;
+    sendMembers(data.roomId);
+  });
+
+  socket.on("viewport", (data) => {
+    if (!canEdit(data.roomId)) return rejectPresent("viewport");
+    const member = rooms.get(data.roomId)?.members.get(socket.id);
+    if (!member?.presenting) return reject("viewport", "Start presenting to share your view");
+    const { x, y, width, height, page } = data;
+    member.viewport = { x, y, width, height, page };
+    socket.to(data.roomId).emit("viewport", { userId: socket.id, ...member.viewport });
+  });
+
+  // Laser pointer: a live trail that fades, never part of the board
+  socket.on("laser", (data) => {
+    if (data.roomId !== socket.data.roomId) return;
+    const member = rooms.get(data.roomId)?.members.get(socket.id);
+    if (!member) return;
+    socket.to(data.roomId).emit("laser", {
+      userId: socket.id,
+      x: data.x,
+      y: data.y,
+      page: data.page,
+      start: Boolean(data.start),
+      color: member.color,
+    });
+  });
+
+  // Shape drawing events: a live preview of the shape being dragged out.
+  // The finished shape is committed separately through "doc-update".
   socket.on("start-shape", (data) => {
-    socket.to(data.roomId).emit("start-shape", data);
+    if (!canEdit(data.roomId)) return rejectEdit("start-shape");
+    socket.to(data.roomId).emit("start-shape", { ...data, userId: socket.id });
   });
 
   socket.on("drawing-shape", (data) => {
-    socket.to(data.roomId).emit("drawing-shape", data);
+    if (!canEdit(data.roomId)) return rejectEdit("drawing-shape");
+    socket.to(data.roomId).emit("drawing-shape", { ...data, userId: socket.id });
   });
 
   socket.on("end-shape", (data) => {
-    socket.to(data.roomId).emit("end-shape", data);
+    if (!canEdit(data.roomId)) return rejectEdit("end-shape");
+    socket.to(data.roomId).emit("end-shape", { ...data, userId: socket.id });
   });
 
-  // Clear canvas event
+  // Document changes: finished strokes, shapes and text, as updates to the
+  // shared document (see sync.js). They merge in whatever order they arrive,
+  // so they're relayed as they are.
+  const applyDocUpdate = (roomId, incoming) => {
+    if (isDeleted(roomId)) return rejectDeleted("doc-update");
+    let result;
+    try {
+      result = rooms.applyDocUpdate(roomId, incoming, getAuthor());
+    } catch (err) {
+      console.error(`Failed to apply an update to room ${roomId}:`, err);
+      return reject("doc-update", "That change couldn't be applied");
+    }
+    if (!result) return;
+    const { update, repair, error } = result;
+    shareChange(roomId, { update });
+    socket.to(roomId).emit("doc-update", { roomId, update });
+    // The sender takes back whatever was removed for being invalid
+    if (repair) {
+      socket.emit("doc-update", { roomId, update: repair });
+      reject("doc-update", `Invalid "doc-update": ${error}`);
+    }
+  };
+
+  socket.on("doc-update", (data) => {
+    if (!canEdit(data.roomId)) return rejectEdit("doc-update");
+    applyDocUpdate(data.roomId, data.update);
+  });
+
+  // An update too big for one message, collected part by part. Only editors
+  // get this far, so only they can make the server hold that much. Once
+  // one part is refused, the rest of that update is dropped quietly.
+  let partial = null;
+  socket.on("doc-update-part", ({ roomId, id, index, count, part }) => {
+    if (partial?.failed && partial.id === id) return;
+    if (!canEdit(roomId)) {
+      partial = { id, failed: true };
+      return rejectEdit("doc-update");
+    }
+    if (index === 0) {
+      partial = { id, roomId, count, parts: [] };
+    } else if (
+      partial?.id !== id || partial.roomId !== roomId || partial.count !== count || partial.parts.length !== index
+    ) {
+      partial = { id, failed: true };
+      return reject("doc-update-part", "Update parts arrived out of order");
+    }
+    partial.parts.push(part);
+    if (partial.parts.length < count) return;
+    const update = partial.parts.join("");
+    partial = null;
+    const error = validateEvent("doc-update", { roomId, update });
+    if (error) return reject("doc-update", error);
+    applyDocUpdate(roomId, update);
+  });
+
+  // Operations made on the server go out as document updates
+  const sendOp = (event, roomId, op) => {
+    if (isDeleted(roomId)) return rejectDeleted(event);
+    const update = rooms.applyOp(roomId, op, getAuthor());
+    if (!update) return;
+    shareChange(roomId, { update });
+    socket.to(roomId).emit("doc-update", { roomId, update });
+  };
+
+  // Clearing and board operations, for clients that send changes as
+  // operations rather than document updates (older clients and scripts)
   socket.on("clear-canvas", (data) => {
-    socket.to(data.roomId).emit("clear-canvas");
+    if (!canEdit(data.roomId)) return rejectEdit("clear-canvas");
+    sendOp("clear-canvas", data.roomId, { type: "clear" });
   });
 
-  // Clear event (required)
   socket.on("clear", (roomId) => {
-    socket.to(roomId).emit("clear", roomId);
+    if (!canEdit(roomId)) return rejectEdit("clear");
+    sendOp("clear", roomId, { type: "clear" });
   });
 
-  // Text drawing event
-  socket.on("draw-text", (data) => {
-    socket.to(data.roomId).emit("draw-text", data);
+  socket.on("board-op", (data) => {
+    if (!canEdit(data.roomId)) return rejectEdit("board-op");
+    sendOp("board-op", data.roomId, data.op);
   });
 
-  // Undo/Redo sync
-  socket.on("undo", (data) => {
-    socket.to(data.roomId).emit("undo", { userId: socket.id });
+  // Put the board back to a revision. Everyone, the sender included, gets the
+  // change as a document update.
+  socket.on("restore-revision", async (data) => {
+    if (!canEdit(data.roomId)) return rejectEdit("restore-revision");
+    if (isDeleted(data.roomId)) return rejectDeleted("restore-revision");
+    let update;
+    try {
+      update = await rooms.restore(data.roomId, data.revisionId, getAuthor(), socket.data.generation);
+    } catch (err) {
+      console.error(`Failed to restore room ${data.roomId}:`, err);
+      socket.emit("error", { event: "restore-revision", message: "Could not restore that version, please try again" });
+      return;
+    }
+    if (!update) {
+      if (isDeleted(data.roomId)) return rejectDeleted("restore-revision");
+      return reject("restore-revision", "That version no longer exists");
+    }
+    shareChange(data.roomId, { update });
+    io.to(data.roomId).emit("doc-update", { roomId: data.roomId, update });
   });
 
-  socket.on("redo", (data) => {
-    socket.to(data.roomId).emit("redo", { userId: socket.id });
+  // Owner-only changes to who can get in. People already in the room keep
+  // their access until they leave.
+  socket.on("update-access", (data) => {
+    const room = rooms.get(data.roomId);
+    if (!room?.access || data.roomId !== socket.data.roomId || socket.data.role !== ROLES.OWNER) {
+      return reject("update-access", "Only the room owner can change access");
+    }
+    const access = updateAccess(room.access, data);
+    rooms.setAccess(data.roomId, access);
+    shareChange(data.roomId, { access });
+    socket.emit("room-access", { roomId: data.roomId, access: describeAccess(access) });
   });
 
   socket.on("disconnect", () => {
     console.log("User disconnected:", socket.id);
-    // Notify others about user leaving
-    io.emit("user-left", { userId: socket.id });
+    // Notify the room about user leaving
+    leaveCurrentRoom();
   });
 });
 
@@ -106,3 +601,14 @@ server.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
 });
 
+// Write out pending board changes before exiting
+const shutdown = () => {
+  rooms
+    .flushAll()
+    .catch((err) => console.error("Failed to save boards on shutdown:", err))
+    .finally(() => process.exit(0));
+};
+
+process.on("SIGINT", shutdown);
+process.on("SIGTERM", shutdown);
+
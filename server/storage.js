@@ -0,0 +1,314 @@
+const crypto = require("crypto");
+const fs = require("fs/promises");
+const path = require("path");
+const { createRedisClient } = require("./redis");
+
+// Board storage backends. Every backend has the same async interface:
+//
+//   load(roomId)        -> board, or null if the room has never been saved
+//   save(roomId, board) -> writes the board
+//   remove(roomId)      -> true if a board was deleted, along with its history
+//   list()              -> [{ id, updatedAt, objectCount, private }], leaving out deleted boards
+//
+//   addRevision(roomId, revision, keep) -> appends a revision, keeping (at least) the last `keep`
+//   listRevisions(roomId)               -> revisions without their objects, oldest first
+//   loadRevision(roomId, revisionId)    -> one revision, or null
+//
+// A board is { id, objects, updatedAt, access, doc, generation }, where
+// objects is the document described in shared/board.js, access is the record
+// from access.js and doc is the shared document it was read from (see
+// sync.js), base64-encoded, with its generation (see rooms.js). Boards saved
+// before there were shared documents have neither. A deleted board is saved
+// as a tombstone, { id, objects: [], access, generation, deleted: true }.
+// A revision is a snapshot of a board's objects:
+//
+//   { id, at, authors: [{ name, color }], label, objectCount, objects }
+//
+// where `authors` are the people whose changes it records and `label` notes
+// restores and forks.
+
+const summarize = (board) => ({
+  id: board.id,
+  updatedAt: board.updatedAt,
+  objectCount: board.objects.length,
+  private: Boolean(board.access?.private),
+});
+
+const summarizeRevision = ({ objects, ...revision }) => revision;
+
+// Keeps boards for the lifetime of the process only. Handy for development
+// and for running several throwaway servers side by side.
+const createMemoryStorage = () => {
+  const boards = new Map();
+  const histories = new Map();
+
+  return {
+    async load(roomId) {
+      return boards.get(roomId) || null;
+    },
+    async save(roomId, board) {
+      boards.set(roomId, board);
+    },
+    async remove(roomId) {
+      histories.delete(roomId);
+      return boards.delete(roomId);
+    },
+    async list() {
+      return [...boards.values()].filter((board) => !board.deleted).map(summarize);
+    },
+    async addRevision(roomId, revision, keep) {
+      histories.set(roomId, [...(histories.get(roomId) || []), revision].slice(-keep));
+    },
+    async listRevisions(roomId) {
+      return (histories.get(roomId) || []).map(summarizeRevision);
+    },
+    async loadRevision(roomId, revisionId) {
+      return (histories.get(roomId) || []).find((revision) => revision.id === revisionId) || null;
+    },
+  };
+};
+
+// A file history segment starts a new file after this many revisions
+const SEGMENT_LENGTH = 25;
+
+// Rooms whose open segment an instance remembers; others start a new one
+const MAX_OPEN_SEGMENTS = 100;
+
+// A revision as stored in a segment: whole if it's the first, otherwise
+// just the stacking order and the objects that changed since `previous`
+const toSegmentEntry = ({ objects, ...revision }, previous) => {
+  if (!previous) return { ...revision, objects };
+  const known = new Map(previous.map((obj) => [obj.id, obj]));
+  const changed = objects.filter((obj) => known.get(obj.id) !== obj);
+  return { ...revision, order: objects.map((obj) => obj.id), changed };
+};
+
+// Whole revisions from a segment's lines, oldest first. A line cut short
+// by a crash ends the segment.
+const readSegmentEntries = (lines) => {
+  const revisions = [];
+  let current = new Map();
+  for (const line of lines) {
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch {
+      break;
+    }
+    const { order, changed, ...revision } = entry;
+    if (!entry.objects) {
+      const updated = new Map(changed.map((obj) => [obj.id, obj]));
+      revision.objects = order.map((id) => updated.get(id) || current.get(id));
+    }
+    current = new Map(revision.objects.map((obj) => [obj.id, obj]));
+    revisions.push(revision);
+  }
+  return revisions;
+};
+
+// One JSON file per board in `dir`, and each board's history in
+// `dir`/history. Revisions are only ever appended: every instance writes its
+// own segment files per room, starting a new one every SEGMENT_LENGTH
+// revisions, so instances never write to the same file. Within a segment
+// only the first revision is stored whole, the rest as changes to the one
+// before (see toSegmentEntry). Trimming deletes whole segments once all
+// they hold is past the last `keep` revisions.
+const createFileStorage = (dir) => {
+  const historyDir = path.join(dir, "history");
+  const fileFor = (roomId) => path.join(dir, `${encodeURIComponent(roomId)}.json`);
+  const segmentDirFor = (roomId) => path.join(historyDir, `${encodeURIComponent(roomId)}.segments`);
+  const ready = fs.mkdir(historyDir, { recursive: true });
+  // roomId -> { file, count, objects }: the segment this instance appends
+  // to, and the objects of the last revision in it
+  const openSegments = new Map();
+
+  const readBoard = async (file) => {
+    try {
+      return JSON.parse(await fs.readFile(file, "utf8"));
+    } catch (err) {
+      if (err.code === "ENOENT") return null;
+      throw err;
+    }
+  };
+
+  const readLines = async (file) => {
+    try {
+      return (await fs.readFile(file, "utf8")).split("\n").filter(Boolean);
+    } catch (err) {
+      if (err.code === "ENOENT") return [];
+      throw err;
+    }
+  };
+
+  const listSegmentFiles = async (roomId) => {
+    try {
+      const names = await fs.readdir(segmentDirFor(roomId));
+      return names.filter((name) => name.endsWith(".jsonl")).map((name) => path.join(segmentDirFor(roomId), name));
+    } catch (err) {
+      if (err.code === "ENOENT") return [];
+      throw err;
+    }
+  };
+
+  // Every segment with its revisions
+  const readSegments = async (roomId) => {
+    const files = await listSegmentFiles(roomId);
+    return Promise.all(files.map(async (file) => ({ file, revisions: readSegmentEntries(await readLines(file)) })));
+  };
+
+  // All of a room's revisions, oldest first
+  const readHistory = async (roomId) =>
+    (await readSegments(roomId)).flatMap((segment) => segment.revisions).sort((a, b) => a.at - b.at);
+
+  // Same temp-file-then-rename dance as boards
+  const writeAtomic = async (file, contents) => {
+    const temp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(temp, contents);
+    await fs.rename(temp, file);
+  };
+
+  const unlinkIfExists = async (file) => {
+    try {
+      await fs.unlink(file);
+      return true;
+    } catch (err) {
+      if (err.code === "ENOENT") return false;
+      throw err;
+    }
+  };
+
+  // Delete the segments holding nothing but revisions older than the last `keep`
+  const trimHistory = async (roomId, keep) => {
+    const segments = await readSegments(roomId);
+    const times = segments.flatMap((segment) => segment.revisions.map((revision) => revision.at)).sort((a, b) => a - b);
+    if (times.length <= keep) return;
+    const cutoff = times[times.length - keep];
+    const expired = segments.filter((segment) => segment.revisions.every((revision) => revision.at < cutoff));
+    await Promise.all(expired.map((segment) => unlinkIfExists(segment.file)));
+  };
+
+  return {
+    async load(roomId) {
+      await ready;
+      return readBoard(fileFor(roomId));
+    },
+    async save(roomId, board) {
+      await ready;
+      // Write to a temp file first so a crash never leaves half a board behind
+      await writeAtomic(fileFor(roomId), JSON.stringify(board));
+    },
+    async remove(roomId) {
+      await ready;
+      openSegments.delete(roomId);
+      await fs.rm(segmentDirFor(roomId), { recursive: true, force: true });
+      return unlinkIfExists(fileFor(roomId));
+    },
+    async list() {
+      await ready;
+      const files = (await fs.readdir(dir)).filter((file) => file.endsWith(".json"));
+      const boards = await Promise.all(files.map((file) => readBoard(path.join(dir, file))));
+      return boards.filter((board) => board && !board.deleted).map(summarize);
+    },
+    async addRevision(roomId, revision, keep) {
+      await ready;
+      let segment = openSegments.get(roomId);
+      // Most recently used last, so the first is the one to forget
+      openSegments.delete(roomId);
+      if (!segment || segment.count >= SEGMENT_LENGTH) {
+        await fs.mkdir(segmentDirFor(roomId), { recursive: true });
+        const name = `${Date.now().toString(36)}-${crypto.randomBytes(4).toString("hex")}.jsonl`;
+        segment = { file: path.join(segmentDirFor(roomId), name), count: 0, objects: null };
+      }
+      await fs.appendFile(segment.file, `${JSON.stringify(toSegmentEntry(revision, segment.objects))}\n`);
+      segment.count += 1;
+      segment.objects = revision.objects;
+      openSegments.set(roomId, segment);
+      if (openSegments.size > MAX_OPEN_SEGMENTS) {
+        openSegments.delete(openSegments.keys().next().value);
+      }
+      // Starting a segment is the time to drop old ones
+      if (segment.count === 1) {
+        await trimHistory(roomId, keep);
+      }
+    },
+    async listRevisions(roomId) {
+      await ready;
+      return (await readHistory(roomId)).map(summarizeRevision);
+    },
+    async loadRevision(roomId, revisionId) {
+      await ready;
+      return (await readHistory(roomId)).find((revision) => revision.id === revisionId) || null;
+    },
+  };
+};
+
+// Boards in Redis, so server instances on different machines share them.
+// Each board is a string key and its history a list, newest last.
+const createRedisStorage = () => {
+  const ready = createRedisClient("BOARD_STORAGE=redis");
+  const boardKey = (roomId) => `whiteboard:board:${roomId}`;
+  const historyKey = (roomId) => `whiteboard:history:${roomId}`;
+
+  const readHistory = async (roomId) => {
+    const client = await ready;
+    return (await client.lRange(historyKey(roomId), 0, -1)).map((entry) => JSON.parse(entry));
+  };
+
+  return {
+    async load(roomId) {
+      const client = await ready;
+      const board = await client.get(boardKey(roomId));
+      return board ? JSON.parse(board) : null;
+    },
+    async save(roomId, board) {
+      const client = await ready;
+      await client.set(boardKey(roomId), JSON.stringify(board));
+    },
+    async remove(roomId) {
+      const client = await ready;
+      await client.del(historyKey(roomId));
+      return (await client.del(boardKey(roomId))) > 0;
+    },
+    async list() {
+      const client = await ready;
+      const boards = [];
+      // Older clients yield keys one at a time, newer ones in batches
+      for await (const keys of client.scanIterator({ MATCH: boardKey("*") })) {
+        for (const key of [].concat(keys)) {
+          const board = JSON.parse(await client.get(key));
+          if (board && !board.deleted) boards.push(summarize(board));
+        }
+      }
+      return boards;
+    },
+    async addRevision(roomId, revision, keep) {
+      const client = await ready;
+      await client.rPush(historyKey(roomId), JSON.stringify(revision));
+      await client.lTrim(historyKey(roomId), -keep, -1);
+    },
+    async listRevisions(roomId) {
+      return (await readHistory(roomId)).map(summarizeRevision);
+    },
+    async loadRevision(roomId, revisionId) {
+      return (await readHistory(roomId)).find((revision) => revision.id === revisionId) || null;
+    },
+  };
+};
+
+// Picks the backend from BOARD_STORAGE ("file" by default, "memory" or
+// "redis"). File boards live in BOARD_DATA_DIR, defaulting to server/data;
+// Redis is found at REDIS_URL.
+const createStorage = (type = process.env.BOARD_STORAGE || "file") => {
+  switch (type) {
+    case "memory":
+      return createMemoryStorage();
+    case "redis":
+      return createRedisStorage();
+    case "file":
+      return createFileStorage(process.env.BOARD_DATA_DIR || path.join(__dirname, "data"));
+    default:
+      throw new Error(`Unknown board storage "${type}"`);
+  }
+};
+
+module.exports = { createStorage, createFileStorage, createMemoryStorage, createRedisStorage };
@@ -0,0 +1,109 @@
+const assert = require("node:assert/strict");
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const { afterEach, beforeEach, describe, it } = require("node:test");
+const { createFileStorage } = require("./storage");
+
+const text = (id, x = 0) => ({ id, type: "text", x, y: 0, text: id, style: {} });
+
+const makeRevision = (n, objects) => ({
+  id: `r${n}`,
+  at: n,
+  authors: [],
+  label: null,
+  objectCount: objects.length,
+  objects,
+});
+
+describe("file storage history", () => {
+  let dir;
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), "whiteboard-"));
+  });
+  afterEach(() => fs.rm(dir, { recursive: true, force: true }));
+
+  // Add `count` revisions, each moving one of three texts
+  const addRevisions = async (storage, count, keep = 200) => {
+    let objects = [text("a"), text("b"), text("c")];
+    const added = [];
+    for (let n = 1; n <= count; n += 1) {
+      objects = objects.map((obj, i) => (i === n % 3 ? { ...obj, x: n } : obj));
+      const revision = makeRevision(n, objects);
+      await storage.addRevision("room", revision, keep);
+      added.push(revision);
+    }
+    return added;
+  };
+
+  const segmentFiles = async () => {
+    const segments = path.join(dir, "history", "room.segments");
+    return (await fs.readdir(segments)).sort().map((name) => path.join(segments, name));
+  };
+
+  it("gives back every revision whole", async () => {
+    const storage = createFileStorage(dir);
+    const added = await addRevisions(storage, 30);
+    const listed = await storage.listRevisions("room");
+    assert.deepEqual(listed.map((revision) => revision.id), added.map((revision) => revision.id));
+    assert.equal(listed[0].objects, undefined);
+    assert.deepEqual(await storage.loadRevision("room", "r27"), added[26]);
+    assert.equal(await storage.loadRevision("room", "r99"), null);
+  });
+
+  it("stores only what changed after the first revision of a segment", async () => {
+    await addRevisions(createFileStorage(dir), 3);
+    const [file] = await segmentFiles();
+    const lines = (await fs.readFile(file, "utf8")).trim().split("\n").map((line) => JSON.parse(line));
+    assert.equal(lines[0].objects.length, 3);
+    assert.deepEqual(lines[1].changed, [{ ...text("c"), x: 2 }]);
+    assert.deepEqual(lines[1].order, ["a", "b", "c"]);
+    assert.equal(lines[1].objects, undefined);
+  });
+
+  it("drops whole old segments beyond the revisions kept", async () => {
+    const storage = createFileStorage(dir);
+    await addRevisions(storage, 120, 40);
+    const ids = (await storage.listRevisions("room")).map((revision) => revision.id);
+    assert.ok(ids.length >= 40 && ids.length < 40 + 2 * 25);
+    assert.equal(ids[ids.length - 1], "r120");
+    assert.ok(ids.includes("r81"));
+    assert.equal((await segmentFiles()).length, Math.ceil(ids.length / 25));
+  });
+
+  it("keeps every revision when several instances write the same room", async () => {
+    const first = createFileStorage(dir);
+    const second = createFileStorage(dir);
+    await Promise.all([
+      first.addRevision("room", makeRevision(1, [text("a")]), 200),
+      second.addRevision("room", makeRevision(2, [text("b")]), 200),
+    ]);
+    await first.addRevision("room", makeRevision(3, [text("a", 5)]), 200);
+    const revisions = await Promise.all(["r1", "r2", "r3"].map((id) => second.loadRevision("room", id)));
+    assert.deepEqual(revisions.map((revision) => revision.objects), [[text("a")], [text("b")], [text("a", 5)]]);
+  });
+
+  it("ignores a revision cut short by a crash", async () => {
+    const storage = createFileStorage(dir);
+    await addRevisions(storage, 2);
+    const [file] = await segmentFiles();
+    await fs.appendFile(file, '{"id":"r3","at":3,"ord');
+    assert.deepEqual((await createFileStorage(dir).listRevisions("room")).map((revision) => revision.id), ["r1", "r2"]);
+  });
+
+  it("deletes the history along with the board", async () => {
+    const storage = createFileStorage(dir);
+    await storage.save("room", { id: "room", objects: [], updatedAt: 1, access: null });
+    await addRevisions(storage, 2);
+    assert.equal(await storage.remove("room"), true);
+    assert.deepEqual(await storage.listRevisions("room"), []);
+  });
+
+  it("leaves deleted boards out of the list", async () => {
+    const storage = createFileStorage(dir);
+    await storage.save("kept", { id: "kept", objects: [text("a")], updatedAt: 1, access: null });
+    await storage.save("gone", { id: "gone", objects: [], updatedAt: null, access: null, deleted: true });
+    assert.deepEqual((await storage.list()).map((board) => board.id), ["kept"]);
+    assert.equal((await storage.load("gone")).deleted, true);
+  });
+});
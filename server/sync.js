@@ -0,0 +1,56 @@
+const Y = require("yjs");
+const { createBoardSync } = require("../shared/sync.js");
+
+// The board as a shared Yjs document (see shared/sync.js). Each room keeps
+// one (see rooms.js) and the plain objects read from it are what gets
+// exported, listed and kept in revisions.
+
+const { applyToDoc, createBoardDoc, readObjects } = createBoardSync(Y);
+
+const toBase64 = (bytes) => Buffer.from(bytes).toString("base64");
+const fromBase64 = (text) => new Uint8Array(Buffer.from(text, "base64"));
+
+// A document holding `objects`, for boards saved before there were documents
+// and for forks
+const docFromObjects = (objects) => {
+  const doc = createBoardDoc();
+  applyToDoc(doc, { type: "add", objects });
+  return doc;
+};
+
+// A saved document (see encodeDoc), or one built from the board's objects
+const loadDoc = (board) => {
+  if (!board?.doc) return docFromObjects(board?.objects || []);
+  const doc = createBoardDoc();
+  Y.applyUpdate(doc, fromBase64(board.doc));
+  return doc;
+};
+
+const encodeDoc = (doc, stateVector) =>
+  toBase64(Y.encodeStateAsUpdate(doc, stateVector ? fromBase64(stateVector) : undefined));
+
+const getStateVector = (doc) => toBase64(Y.encodeStateVector(doc));
+
+// Merge an update into the document. Throws if it can't be decoded.
+const applyUpdate = (doc, update, origin = null) => Y.applyUpdate(doc, fromBase64(update), origin);
+
+// Several updates as one
+const mergeUpdates = (updates) => toBase64(Y.mergeUpdates(updates.map(fromBase64)));
+
+// Run `change` on the document and return the update it made
+const captureUpdate = (doc, change) => {
+  const updates = [];
+  const onUpdate = (update) => updates.push(update);
+  doc.on("update", onUpdate);
+  try {
+    change();
+  } finally {
+    doc.off("update", onUpdate);
+  }
+  return toBase64(Y.mergeUpdates(updates));
+};
+
+module.exports = {
+  applyToDoc, applyUpdate, captureUpdate, createBoardDoc, docFromObjects, encodeDoc, getStateVector, loadDoc,
+  fromBase64, mergeUpdates, readObjects,
+};
@@ -0,0 +1,417 @@
+// Payload checks for every socket event the server accepts. Each validator
+// returns null when the payload is fine, or a message saying what's wrong.
+// Object shapes follow the board document described in shared/board.js.
+
+const Y = require("yjs");
+const { fromBase64 } = require("./sync");
+
+const LIMITS = {
+  roomIdLength: 128,
+  idLength: 64,
+  nameLength: 64,
+  secretLength: 256,
+  // Board coordinates are world units; anything beyond this is junk
+  coordinate: 1e7,
+  strokeSize: 200,
+  fontSize: 2000,
+  textLength: 5000,
+  strokePoints: 20000,
+  // Points in one batch of a live stroke preview
+  batchPoints: 500,
+  objectsPerOp: 5000,
+  // Matches the client's image import limit, with room for base64 overhead
+  imageSrcLength: 2e6,
+  // A document's state vector grows by a few bytes for everyone who has
+  // ever edited it
+  stateVectorLength: 32768,
+  // Document updates too big for one message are sent in parts of up to
+  // this many base64 characters
+  updatePartLength: 262144,
+};
+
+// Largest serialized payload accepted per event, in characters of JSON
+const SIZE_LIMITS = {
+  "join-room": 36864,
+  "start-draw": 1024,
+  drawing: 16384,
+  "end-draw": 512,
+  "start-shape": 2048,
+  "drawing-shape": 512,
+  "end-shape": 512,
+  "cursor-move": 512,
+  present: 256,
+  viewport: 512,
+  laser: 512,
+  "clear-canvas": 512,
+  clear: 512,
+  "board-op": 262144,
+  // Whole updates, which may have come in parts
+  "doc-update": 9.5e6,
+  "doc-update-part": 264192,
+  "update-access": 1024,
+  "restore-revision": 512,
+};
+
+const TOOLS = ["brush", "eraser"];
+const BRUSHES = ["pen", "highlighter", "dashed"];
+const SHAPES = ["line", "rectangle", "circle", "arrow"];
+const FONT_FAMILIES = ["sans", "serif", "mono", "hand"];
+const TEXT_ALIGNS = ["left", "center", "right"];
+const IMAGE_SRC = /^data:image\/(png|jpeg|svg\+xml)[;,]/;
+
+const isString = (value, max) => typeof value === "string" && value.length > 0 && value.length <= max;
+const isOptionalString = (value, max) => value === undefined || value === null || isString(value, max);
+const isRoomId = (value) => isString(value, LIMITS.roomIdLength);
+const isId = (value) => isString(value, LIMITS.idLength);
+const isCoordinate = (value) => typeof value === "number" && Number.isFinite(value) && Math.abs(value) <= LIMITS.coordinate;
+const isBetween = (value, min, max) => typeof value === "number" && Number.isFinite(value) && value >= min && value <= max;
+// Hex, named and rgb()/hsl() colors; nothing that could break out of an attribute
+const isColor = (value) => typeof value === "string" && value.length <= 32 && /^[#\w(),.%\s-]+$/.test(value);
+const isPlainObject = (value) => Boolean(value) && typeof value === "object" && !Array.isArray(value);
+const isBase64 = (value, max) =>
+  typeof value === "string" && value.length <= max && value.length % 4 === 0 && /^[A-Za-z0-9+/]*={0,2}$/.test(value);
+
+const isPoint = (point) =>
+  Array.isArray(point) && point.length >= 2 && point.length <= 3 && point.every((n, i) => (i < 2 ? isCoordinate(n) : isBetween(n, 0, 1)));
+
+// Text style keys are optional; text from before they existed has none
+const validateTextStyle = (style) => {
+  if (style.fontFamily !== undefined && !FONT_FAMILIES.includes(style.fontFamily)) return "unknown style.fontFamily";
+  if (style.bold !== undefined && typeof style.bold !== "boolean") return "style.bold must be true or false";
+  if (style.italic !== undefined && typeof style.italic !== "boolean") return "style.italic must be true or false";
+  if (style.align !== undefined && !TEXT_ALIGNS.includes(style.align)) return "unknown style.align";
+  return null;
+};
+
+const validateStyle = (style, type) => {
+  if (!isPlainObject(style)) return "style must be an object";
+  if (!isColor(style.color)) return "style.color must be a color";
+  if (type === "note" && !isColor(style.fill)) return "style.fill must be a color";
+  if (type === "text" || type === "note") {
+    if (!isBetween(style.fontSize, 1, LIMITS.fontSize)) return "style.fontSize is out of range";
+    return validateTextStyle(style);
+  } else if (!isBetween(style.size, 0, LIMITS.strokeSize)) {
+    return "style.size is out of range";
+  }
+  // Strokes from before brushes existed have none
+  if (type === "stroke" && style.brush !== undefined && !BRUSHES.includes(style.brush)) return "unknown style.brush";
+  return null;
+};
+
+// Checks for each geometry prop, shared by whole objects and partial updates
+const FIELD_CHECKS = {
+  points: (value) =>
+    Array.isArray(value) && value.length > 0 && value.length <= LIMITS.strokePoints && value.every(isPoint)
+      ? null
+      : "points must be a list of [x, y] coordinates",
+  x: (value) => (isCoordinate(value) ? null : "x must be a coordinate"),
+  y: (value) => (isCoordinate(value) ? null : "y must be a coordinate"),
+  x1: (value) => (isCoordinate(value) ? null : "x1 must be a coordinate"),
+  y1: (value) => (isCoordinate(value) ? null : "y1 must be a coordinate"),
+  x2: (value) => (isCoordinate(value) ? null : "x2 must be a coordinate"),
+  y2: (value) => (isCoordinate(value) ? null : "y2 must be a coordinate"),
+  width: (value) => (isBetween(value, 0, LIMITS.coordinate) ? null : "width is out of range"),
+  height: (value) => (isBetween(value, 0, LIMITS.coordinate) ? null : "height is out of range"),
+  text: (value) => (typeof value === "string" && value.length <= LIMITS.textLength ? null : "text is too long"),
+  name: (value) => (isString(value, LIMITS.nameLength) ? null : "name is missing or too long"),
+  order: (value) => (isCoordinate(value) ? null : "order must be a number"),
+};
+
+const FIELDS_BY_TYPE = {
+  stroke: ["points"],
+  shape: ["x1", "y1", "x2", "y2"],
+  text: ["x", "y", "text"],
+  image: ["x", "y", "width", "height"],
+  note: ["x", "y", "width", "height", "text"],
+  connector: ["x1", "y1", "x2", "y2"],
+  page: ["name", "order"],
+};
+
+const isOptionalId = (value) => value === undefined || isId(value);
+
+const isOptionalPressure = (value) => value === undefined || isBetween(value, 0, 1);
+
+// A connector end is attached to an object id, or loose (null)
+const isAttachment = (value) => value === null || value === undefined || isId(value);
+
+const validateObject = (obj) => {
+  if (!isPlainObject(obj)) return "objects must be objects";
+  if (!isId(obj.id)) return "object id is missing or too long";
+  const fields = FIELDS_BY_TYPE[obj.type];
+  if (!fields) return `unknown object type "${obj.type}"`;
+  for (const field of fields) {
+    const error = FIELD_CHECKS[field](obj[field]);
+    if (error) return error;
+  }
+  if (obj.type === "stroke" && !TOOLS.includes(obj.tool)) return "unknown stroke tool";
+  if (obj.type === "shape" && !SHAPES.includes(obj.shape)) return "unknown shape";
+  if (obj.type === "connector" && (!isAttachment(obj.from) || !isAttachment(obj.to))) return "connector ends must be object ids";
+  if (obj.type === "page") return null;
+  if (!isOptionalId(obj.page)) return "page must be a page id";
+  if (obj.type === "image") {
+    if (!isString(obj.src, LIMITS.imageSrcLength) || !IMAGE_SRC.test(obj.src)) {
+      return "image src must be a PNG, JPEG or SVG data URL";
+    }
+    return null;
+  }
+  return validateStyle(obj.style, obj.type);
+};
+
+// A style in a partial update only needs the keys it has to be valid
+const validateStyleChange = (style) => {
+  if (!isPlainObject(style)) return "style must be an object";
+  if (style.color !== undefined && !isColor(style.color)) return "style.color must be a color";
+  if (style.fill !== undefined && !isColor(style.fill)) return "style.fill must be a color";
+  if (style.size !== undefined && !isBetween(style.size, 0, LIMITS.strokeSize)) return "style.size is out of range";
+  if (style.fontSize !== undefined && !isBetween(style.fontSize, 1, LIMITS.fontSize)) return "style.fontSize is out of range";
+  if (style.brush !== undefined && !BRUSHES.includes(style.brush)) return "unknown style.brush";
+  return validateTextStyle(style);
+};
+
+// A partial update may touch geometry, style and text, never id or type
+const validateChange = (change) => {
+  if (!isPlainObject(change)) return "changes must be objects";
+  if (!isId(change.id)) return "change id is missing or too long";
+  for (const [key, value] of Object.entries(change)) {
+    if (key === "id") continue;
+    if (key === "style") {
+      const error = validateStyleChange(value);
+      if (error) return error;
+      continue;
+    }
+    if (!FIELD_CHECKS[key]) return `"${key}" can't be changed`;
+    const error = FIELD_CHECKS[key](value);
+    if (error) return error;
+  }
+  return null;
+};
+
+const validateList = (list, validateItem, name) => {
+  if (!Array.isArray(list) || list.length > LIMITS.objectsPerOp) return `${name} must be a list of at most ${LIMITS.objectsPerOp}`;
+  for (const item of list) {
+    const error = validateItem(item);
+    if (error) return error;
+  }
+  return null;
+};
+
+const validateOperation = (op) => {
+  if (!isPlainObject(op)) return "op must be an object";
+  switch (op.type) {
+    case "add":
+      return validateList(op.objects, validateObject, "objects");
+    case "update":
+      return validateList(op.changes, validateChange, "changes");
+    case "remove":
+      return validateList(op.ids, (id) => (isId(id) ? null : "ids must be object ids"), "ids");
+    case "clear":
+      return null;
+    default:
+      return `unknown operation "${op.type}"`;
+  }
+};
+
+const DOC_ROOTS = ["objects", "order"];
+
+// One piece of a document update (see sync.js). Only its overall shape can be
+// checked here: which part of the document it goes in is often only known
+// once it's merged, so the objects it changes are checked then (see
+// findInvalidObjects).
+const validateDocItem = ({ content, parent }) => {
+  if (typeof parent === "string" && !DOC_ROOTS.includes(parent)) return `unknown document root "${parent}"`;
+  if (content instanceof Y.ContentType) {
+    return content.type instanceof Y.Map || content.type instanceof Y.Text ? null : "unsupported document type";
+  }
+  if (content instanceof Y.ContentString) {
+    return content.str.length <= LIMITS.textLength ? null : "text is too long";
+  }
+  return content instanceof Y.ContentAny || content instanceof Y.ContentDeleted ? null : "unsupported document content";
+};
+
+// A base64-encoded update to the shared document
+const validateDocUpdate = (update) => {
+  if (!isBase64(update, SIZE_LIMITS["doc-update"])) return "update must be base64";
+  let structs;
+  try {
+    ({ structs } = Y.decodeUpdate(fromBase64(update)));
+  } catch {
+    return "update can't be decoded";
+  }
+  for (const struct of structs) {
+    // Garbage-collected and skipped ranges carry nothing
+    if (!(struct instanceof Y.Item)) continue;
+    const error = validateDocItem(struct);
+    if (error) return error;
+  }
+  return null;
+};
+
+// Objects hold plain values, apart from their text
+const isNestedType = (value) => value instanceof Y.AbstractType && !(value instanceof Y.Text);
+const readDocField = (value) => (value instanceof Y.Text ? value.toString() : value);
+
+// The objects a transaction on the shared document left invalid, as a map
+// from id to what's wrong with it. Objects it added are checked whole, like
+// in "add" operations, and the fields it changed on others like in "update"
+// operations.
+const findInvalidObjects = (doc, transaction) => {
+  const objects = doc.getMap("objects");
+  const invalid = new Map();
+  const check = (id, map, keys, whole = false) => {
+    const fields = { id };
+    for (const key of keys) {
+      const value = map.get(key);
+      if (isNestedType(value)) {
+        invalid.set(id, "objects can only hold plain values");
+        return;
+      }
+      fields[key] = readDocField(value);
+    }
+    const error = whole ? validateObject(fields) : validateChange(fields);
+    if (error) invalid.set(id, error);
+  };
+  transaction.changed.forEach((keys, type) => {
+    if (type === objects) {
+      keys.forEach((id) => {
+        if (!objects.has(id)) return;
+        const map = objects.get(id);
+        if (map instanceof Y.Map) {
+          check(id, map, [...map.keys()], true);
+        } else {
+          invalid.set(id, "objects must be maps");
+        }
+      });
+    } else if (type instanceof Y.Map && type.parent === objects) {
+      check(type._item.parentSub, type, [...keys]);
+    } else if (type instanceof Y.Text && type.parent?.parent === objects) {
+      check(type.parent._item.parentSub, type.parent, [type._item.parentSub]);
+    }
+  });
+  return invalid;
+};
+
+// Every live event carries the room and, for drawing events, the object id
+const withRoom = (data, check) => {
+  if (!isPlainObject(data) || !isRoomId(data.roomId)) return "roomId is missing or invalid";
+  return check ? check(data) : null;
+};
+
+const validateStrokeStart = (data) => {
+  if (!isId(data.id)) return "id is missing or too long";
+  if (!isCoordinate(data.x) || !isCoordinate(data.y)) return "x and y must be coordinates";
+  if (!isColor(data.color)) return "color must be a color";
+  if (!isBetween(data.size, 0, LIMITS.strokeSize)) return "size is out of range";
+  if (!TOOLS.includes(data.tool)) return "unknown tool";
+  if (data.brush !== undefined && !BRUSHES.includes(data.brush)) return "unknown brush";
+  if (!isOptionalPressure(data.pressure)) return "pressure must be between 0 and 1";
+  if (!isOptionalId(data.page)) return "page must be a page id";
+  return null;
+};
+
+// A batch of stroke points, delta-encoded in tenths of a unit (see
+// client/src/transport.js), with pressures in hundredths if the stroke has them
+const validateStrokeBatch = ({ id, deltas, pressures }) => {
+  if (!isId(id)) return "id is missing or too long";
+  const isDelta = (n) => Number.isInteger(n) && Math.abs(n) <= LIMITS.coordinate * 20;
+  if (!Array.isArray(deltas) || deltas.length === 0 || deltas.length % 2 !== 0 || deltas.length > LIMITS.batchPoints * 2 || !deltas.every(isDelta)) {
+    return "deltas must be a list of x, y steps";
+  }
+  if (pressures === undefined) return null;
+  const isPressure = (n) => Number.isInteger(n) && n >= 0 && n <= 100;
+  if (!Array.isArray(pressures) || pressures.length !== deltas.length / 2 || !pressures.every(isPressure)) {
+    return "pressures must have one value from 0 to 100 per point";
+  }
+  return null;
+};
+
+const validatePoint = (xKey, yKey) => (data) => {
+  if (!isId(data.id)) return "id is missing or too long";
+  if (!isCoordinate(data[xKey]) || !isCoordinate(data[yKey])) return `${xKey} and ${yKey} must be coordinates`;
+  return null;
+};
+
+const validateEnd = (data) => (isId(data.id) ? null : "id is missing or too long");
+
+const VALIDATORS = {
+  "join-room": (data) => {
+    if (isRoomId(data)) return null;
+    if (!isPlainObject(data) || !isRoomId(data.roomId)) return "roomId is missing or invalid";
+    if (data.name !== undefined && typeof data.name !== "string") return "name must be a string";
+    if (typeof data.name === "string" && data.name.length > LIMITS.nameLength) return "name is too long";
+    for (const key of ["key", "password", "ownerToken"]) {
+      if (!isOptionalString(data[key], LIMITS.secretLength)) return `${key} must be a string`;
+    }
+    if (data.stateVector !== undefined && !isBase64(data.stateVector, LIMITS.stateVectorLength)) {
+      return "stateVector must be base64";
+    }
+    return isOptionalString(data.generation, LIMITS.idLength) ? null : "generation must be a string";
+  },
+  "start-draw": (data) => withRoom(data, validateStrokeStart),
+  drawing: (data) => withRoom(data, validateStrokeBatch),
+  "end-draw": (data) => withRoom(data, validateEnd),
+  "start-shape": (data) =>
+    withRoom(data, ({ shape }) => (shape?.type === "shape" ? validateObject(shape) : "shape must be a shape object")),
+  "drawing-shape": (data) => withRoom(data, validatePoint("x2", "y2")),
+  "end-shape": (data) => withRoom(data, validateEnd),
+  "cursor-move": (data) =>
+    withRoom(data, ({ x, y, page }) => {
+      if (!isCoordinate(x) || !isCoordinate(y)) return "x and y must be coordinates";
+      return isOptionalId(page) ? null : "page must be a page id";
+    }),
+  present: (data) =>
+    withRoom(data, ({ presenting }) => (typeof presenting === "boolean" ? null : "presenting must be true or false")),
+  viewport: (data) =>
+    withRoom(data, ({ x, y, width, height, page }) => {
+      if (!isCoordinate(x) || !isCoordinate(y)) return "x and y must be coordinates";
+      if (!isBetween(width, 1e-3, LIMITS.coordinate) || !isBetween(height, 1e-3, LIMITS.coordinate)) return "width and height are out of range";
+      return isOptionalId(page) ? null : "page must be a page id";
+    }),
+  laser: (data) =>
+    withRoom(data, ({ x, y, page, start }) => {
+      if (!isCoordinate(x) || !isCoordinate(y)) return "x and y must be coordinates";
+      if (start !== undefined && typeof start !== "boolean") return "start must be true or false";
+      return isOptionalId(page) ? null : "page must be a page id";
+    }),
+  "clear-canvas": (data) => withRoom(data),
+  clear: (roomId) => (isRoomId(roomId) ? null : "roomId is missing or invalid"),
+  "board-op": (data) => withRoom(data, ({ op }) => validateOperation(op)),
+  "doc-update": (data) => withRoom(data, ({ update }) => validateDocUpdate(update)),
+  // The parts of an update come in order; the last one completes it, and the
+  // whole update is then checked as a "doc-update"
+  "doc-update-part": (data) =>
+    withRoom(data, ({ id, index, count, part }) => {
+      if (!isId(id)) return "id is missing or too long";
+      const maxParts = Math.ceil(SIZE_LIMITS["doc-update"] / LIMITS.updatePartLength);
+      if (!Number.isInteger(count) || count < 2 || count > maxParts) return `count must be from 2 to ${maxParts}`;
+      if (!Number.isInteger(index) || index < 0 || index >= count) return "index must be below count";
+      return part && isBase64(part, LIMITS.updatePartLength) ? null : "part must be base64";
+    }),
+  "update-access": (data) =>
+    withRoom(data, ({ private: isPrivate, password, resetLinks }) => {
+      if (isPrivate !== undefined && typeof isPrivate !== "boolean") return "private must be true or false";
+      if (resetLinks !== undefined && typeof resetLinks !== "boolean") return "resetLinks must be true or false";
+      if (password !== undefined && password !== null && typeof password !== "string") return "password must be a string";
+      if (typeof password === "string" && password.length > LIMITS.secretLength) return "password is too long";
+      return null;
+    }),
+  "restore-revision": (data) =>
+    withRoom(data, ({ revisionId }) => (isId(revisionId) ? null : "revisionId is missing or too long")),
+};
+
+// Check an incoming event. Returns null if it may be handled, or a message
+// explaining why it was refused.
+const validateEvent = (event, data) => {
+  const validate = VALIDATORS[event];
+  if (!validate) return `Unknown event "${event}"`;
+  let size;
+  try {
+    size = JSON.stringify(data ?? null).length;
+  } catch {
+    return "Payload can't be serialized";
+  }
+  if (size > SIZE_LIMITS[event]) return `Payload is too large for "${event}"`;
+  const error = validate(data);
+  return error && `Invalid "${event}": ${error}`;
+};
+
+module.exports = { findInvalidObjects, validateEvent };
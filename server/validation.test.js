@@ -0,0 +1,142 @@
+const assert = require("node:assert/strict");
+const { describe, it } = require("node:test");
+const Y = require("yjs");
+const { applyToDoc, captureUpdate, createBoardDoc } = require("./sync");
+const { findInvalidObjects, validateEvent } = require("./validation");
+
+const note = (fields = {}) => ({
+  id: "n1",
+  type: "note",
+  style: { color: "#000000", fill: "#fef08a", fontSize: 16 },
+  x: 0,
+  y: 0,
+  width: 200,
+  height: 150,
+  text: "hello",
+  ...fields,
+});
+
+const addNote = (fields) => ({ roomId: "room", op: { type: "add", objects: [note(fields)] } });
+
+// The update a change to a fresh document makes, as a "doc-update" payload
+const docUpdate = (change) => {
+  const doc = createBoardDoc();
+  return { roomId: "room", update: captureUpdate(doc, () => change(doc)) };
+};
+
+// What findInvalidObjects says about the transaction `change` makes
+const findInvalid = (doc, change) => {
+  let invalid;
+  const check = (transaction) => {
+    invalid = findInvalidObjects(doc, transaction);
+  };
+  doc.on("afterTransaction", check);
+  doc.transact(() => change(doc));
+  doc.off("afterTransaction", check);
+  return invalid;
+};
+
+describe("validateEvent", () => {
+  it("refuses unknown events and oversized payloads", () => {
+    assert.equal(validateEvent("shout", {}), 'Unknown event "shout"');
+    const junk = "x".repeat(600);
+    assert.match(validateEvent("cursor-move", { roomId: "room", x: 0, y: 0, junk }), /too large/);
+  });
+
+  it("accepts joins by room id, with or without details", () => {
+    assert.equal(validateEvent("join-room", "room"), null);
+    assert.equal(validateEvent("join-room", { roomId: "room", name: "Ada", password: "secret" }), null);
+    assert.match(validateEvent("join-room", { roomId: "" }), /roomId/);
+    assert.match(validateEvent("join-room", { roomId: "room", stateVector: "not base64!" }), /stateVector/);
+    assert.equal(validateEvent("join-room", { roomId: "room", generation: "1f2e3d" }), null);
+    assert.match(validateEvent("join-room", { roomId: "room", generation: 7 }), /generation/);
+  });
+
+  it("checks objects added by board operations", () => {
+    assert.equal(validateEvent("board-op", addNote()), null);
+    assert.match(validateEvent("board-op", addNote({ x: Infinity })), /x must be a coordinate/);
+    assert.match(validateEvent("board-op", addNote({ type: "blob" })), /unknown object type/);
+    const style = { color: 'red" onload="x', fill: "#fff", fontSize: 16 };
+    assert.match(validateEvent("board-op", addNote({ style })), /style.color/);
+    assert.match(validateEvent("board-op", addNote({ text: "x".repeat(5001) })), /text is too long/);
+    const image = { id: "i1", type: "image", x: 0, y: 0, width: 10, height: 10, src: "https://example.com/a.png" };
+    assert.match(validateEvent("board-op", { roomId: "room", op: { type: "add", objects: [image] } }), /data URL/);
+  });
+
+  it("lets updates change geometry, style and text, but not ids or types", () => {
+    const update = (change) => ({ roomId: "room", op: { type: "update", changes: [{ id: "n1", ...change }] } });
+    assert.equal(validateEvent("board-op", update({ x: 5, style: { fontSize: 20 } })), null);
+    assert.match(validateEvent("board-op", update({ type: "image" })), /"type" can't be changed/);
+    assert.match(validateEvent("board-op", update({ style: { brush: "spray" } })), /unknown style.brush/);
+  });
+
+  it("checks live stroke batches", () => {
+    const batch = (fields) => ({ roomId: "room", id: "s1", ...fields });
+    assert.equal(validateEvent("drawing", batch({ deltas: [1, 2, 3, 4], pressures: [50, 60] })), null);
+    assert.match(validateEvent("drawing", batch({ deltas: [1, 2, 3] })), /deltas/);
+    assert.match(validateEvent("drawing", batch({ deltas: [1, 2], pressures: [101] })), /pressures/);
+  });
+
+  it("accepts document updates that only hold board objects", () => {
+    const add = docUpdate((doc) => applyToDoc(doc, { type: "add", objects: [note()] }));
+    assert.equal(validateEvent("doc-update", add), null);
+  });
+
+  it("refuses document updates that aren't board objects", () => {
+    assert.match(validateEvent("doc-update", { roomId: "room", update: "%%%" }), /update must be base64/);
+    assert.match(validateEvent("doc-update", { roomId: "room", update: "AQE=" }), /can't be decoded/);
+    const otherRoot = docUpdate((doc) => doc.getMap("settings").set("a", 1));
+    assert.match(validateEvent("doc-update", otherRoot), /unknown document root/);
+    const nested = docUpdate((doc) => doc.getMap("objects").set("n1", new Y.Array()));
+    assert.match(validateEvent("doc-update", nested), /unsupported document type/);
+  });
+
+  it("checks the parts of big document updates", () => {
+    const part = (fields) => ({ roomId: "room", id: "u1", index: 0, count: 2, part: "AAAA", ...fields });
+    assert.equal(validateEvent("doc-update-part", part()), null);
+    assert.match(validateEvent("doc-update-part", part({ count: 1 })), /count/);
+    assert.match(validateEvent("doc-update-part", part({ count: 1000 })), /count/);
+    assert.match(validateEvent("doc-update-part", part({ index: 2 })), /index/);
+    assert.match(validateEvent("doc-update-part", part({ part: "" })), /part must be base64/);
+  });
+});
+
+describe("findInvalidObjects", () => {
+  it("passes valid objects and changes", () => {
+    const doc = createBoardDoc();
+    assert.equal(findInvalid(doc, () => applyToDoc(doc, { type: "add", objects: [note()] })).size, 0);
+    const change = { type: "update", changes: [{ id: "n1", x: 10, text: "hello there" }] };
+    assert.equal(findInvalid(doc, () => applyToDoc(doc, change)).size, 0);
+  });
+
+  it("checks added objects whole", () => {
+    const doc = createBoardDoc();
+    const add = { type: "add", objects: [note({ width: -1 }), note({ id: "n2" })] };
+    const invalid = findInvalid(doc, () => applyToDoc(doc, add));
+    assert.deepEqual([...invalid], [["n1", "width is out of range"]]);
+  });
+
+  it("checks the fields changed on existing objects", () => {
+    const doc = createBoardDoc();
+    applyToDoc(doc, { type: "add", objects: [note()] });
+    const objects = doc.getMap("objects");
+    const set = (key, value) => [...findInvalid(doc, () => objects.get("n1").set(key, value))];
+    assert.deepEqual(set("y", "down"), [["n1", "y must be a coordinate"]]);
+    assert.deepEqual(set("owner", "me"), [["n1", '"owner" can\'t be changed']]);
+    assert.deepEqual(set("style", new Y.Map()), [["n1", "objects can only hold plain values"]]);
+  });
+
+  it("checks text edited in place", () => {
+    const doc = createBoardDoc();
+    applyToDoc(doc, { type: "add", objects: [note()] });
+    const text = doc.getMap("objects").get("n1").get("text");
+    const invalid = findInvalid(doc, () => text.insert(5, "!".repeat(5000)));
+    assert.deepEqual([...invalid], [["n1", "text is too long"]]);
+  });
+
+  it("refuses objects that aren't maps", () => {
+    const doc = createBoardDoc();
+    const invalid = findInvalid(doc, () => doc.getMap("objects").set("n1", 42));
+    assert.deepEqual([...invalid], [["n1", "objects must be maps"]]);
+  });
+});
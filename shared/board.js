@@ -0,0 +1,560 @@
+// Board document model.
+//
+// A board is an ordered list of plain, serializable objects. Every object has
+// an `id`, a `type` and its own geometry, and all but images have a `style`:
+//
+//   { id, type: "stroke", tool: "brush" | "eraser", style: { color, size, brush }, points: [[x, y, pressure?], ...] }
+//   { id, type: "shape", shape: "line" | "rectangle" | "circle" | "arrow", style: { color, size }, x1, y1, x2, y2 }
+//   { id, type: "text", style: { color, fontSize, fontFamily, bold, italic, align }, x, y, text }
+//   { id, type: "image", x, y, width, height, src }
+//   { id, type: "note", style: { color, fill, fontSize, fontFamily, bold, italic, align }, x, y, width, height, text }
+//   { id, type: "connector", style: { color, size }, from, to, x1, y1, x2, y2 }
+//   { id, type: "page", name, order }
+//
+// Strokes are drawn as smooth curves through their points. A point's optional
+// third value is the pen pressure there (0..1), which makes the line thicker
+// or thinner; `brush` is "pen" (the default), "highlighter" or "dashed".
+//
+// Image `src` is a data URL (PNG, JPEG or SVG), so boards stay self-contained.
+// Text may span several lines ("\n"): (x, y) is the baseline of the first
+// line at its `align` edge. Text saved before fonts existed has no
+// fontFamily, bold, italic or align and gets the defaults.
+//
+// Notes are sticky notes: a card in their `fill` color with the text wrapped
+// inside. Connectors are arrows from (x1, y1) to (x2, y2) whose ends can be
+// attached to other objects: `from` and `to` are those objects' ids, or null
+// for a loose end. Whoever moves an attached object re-routes its connectors
+// in the same operation (see routeConnectors). Two people moving the two ends
+// at once each route from where the other end used to be, so boards read from
+// the shared document are routed again (see withRoutedConnectors).
+//
+// Pages split a board into named frames, ordered by `order`. Every other
+// object has a `page`: the id of the page it's on. Boards from before pages
+// have neither; their objects are on DEFAULT_PAGE_ID, and the board has that
+// one page until someone adds another (see getPages).
+//
+// The canvas is always rendered from this list, and changes travel between
+// clients (and the server) as operations applied with `applyOperation`.
+
+export const SHAPE_TOOLS = ["line", "rectangle", "circle", "arrow"];
+
+export const createId = () =>
+  Date.now().toString(36) + "-" + Math.random().toString(36).slice(2, 10);
+
+export const createStroke = ({ tool, color, size, brush = "pen", x, y, pressure }) => ({
+  id: createId(),
+  type: "stroke",
+  tool,
+  style: { color, size, brush },
+  points: [pressure === undefined ? [x, y] : [x, y, pressure]],
+});
+
+export const BRUSHES = ["pen", "highlighter", "dashed"];
+
+// Highlighter strokes are see-through, so what's under them shows
+export const HIGHLIGHTER_OPACITY = 0.35;
+
+// Line width at a given pressure. Points without one count as 0.5, which
+// gives the stroke's own size.
+export const pressureWidth = (size, pressure = 0.5) => size * (0.4 + 1.2 * pressure);
+
+export const getStrokeDash = (size) => [size * 2, size * 3];
+
+export const hasPressure = (stroke) => stroke.points.some((point) => point.length > 2);
+
+const midpoint = (a, b) => [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2];
+const pressureAt = (point) => point[2] ?? 0.5;
+
+// The curve piece that point `i` (at least 1) completes; see getStrokeSegments
+export const getStrokeSegment = (points, i) => ({
+  from: i === 1 ? points[0] : midpoint(points[i - 2], points[i - 1]),
+  control: points[i - 1],
+  to: midpoint(points[i - 1], points[i]),
+  pressure: (pressureAt(points[i - 1]) + pressureAt(points[i])) / 2,
+});
+
+// The curve pieces a stroke is drawn with: quadratic curves from midpoint to
+// midpoint between samples, with the sample in between as control point,
+// then a straight end to the last sample. Each piece is
+// { from, control, to, pressure }. The piece ending at point i only depends
+// on points up to i, so a stroke being drawn can be painted a piece at a time.
+export const getStrokeSegments = (points) => {
+  if (points.length === 0) return [];
+  const [first] = points;
+  if (points.length === 1) return [{ from: first, control: first, to: first, pressure: pressureAt(first) }];
+  const segments = [];
+  for (let i = 1; i < points.length; i += 1) {
+    segments.push(getStrokeSegment(points, i));
+  }
+  const last = points[points.length - 1];
+  segments.push({ from: midpoint(points[points.length - 2], last), control: last, to: last, pressure: pressureAt(last) });
+  return segments;
+};
+
+
+export const createShape = ({ shape, color, size, x, y }) => ({
+  id: createId(),
+  type: "shape",
+  shape,
+  style: { color, size },
+  x1: x,
+  y1: y,
+  x2: x,
+  y2: y,
+});
+
+// Font stacks by `fontFamily` key
+export const TEXT_FONTS = {
+  sans: "Inter, sans-serif",
+  serif: "Georgia, serif",
+  mono: "Menlo, Consolas, monospace",
+  hand: "'Comic Sans MS', 'Marker Felt', cursive",
+};
+export const TEXT_ALIGNS = ["left", "center", "right"];
+// Distance between baselines, in font sizes
+export const TEXT_LINE_HEIGHT = 1.25;
+
+// CSS font shorthand for a text style, at its own font size unless told otherwise
+export const getTextFont = ({ fontSize, fontFamily, bold, italic }, size = fontSize) =>
+  `${italic ? "italic " : ""}${bold ? "bold " : ""}${size}px ${TEXT_FONTS[fontFamily] || TEXT_FONTS.sans}`;
+
+export const createText = ({ text, color, fontSize, fontFamily = "sans", bold = false, italic = false, align = "left", x, y }) => ({
+  id: createId(),
+  type: "text",
+  style: { color, fontSize, fontFamily, bold, italic, align },
+  x,
+  y,
+  text,
+});
+
+export const createImage = ({ src, x, y, width, height }) => ({
+  id: createId(),
+  type: "image",
+  x,
+  y,
+  width,
+  height,
+  src,
+});
+
+export const NOTE_COLORS = ["#fef08a", "#fbcfe8", "#bbf7d0", "#bfdbfe", "#fed7aa", "#ddd6fe"];
+export const NOTE_SIZE = 200;
+// Space between a note's edge and its text
+export const NOTE_PADDING = 12;
+
+export const createNote = ({ fill, x, y, text = "" }) => ({
+  id: createId(),
+  type: "note",
+  style: { color: "#1e293b", fill, fontSize: 20, fontFamily: "sans", bold: false, italic: false, align: "left" },
+  x,
+  y,
+  width: NOTE_SIZE,
+  height: NOTE_SIZE,
+  text,
+});
+
+export const createConnector = ({ color, size, from = null, to = null, x, y }) => ({
+  id: createId(),
+  type: "connector",
+  style: { color, size },
+  from,
+  to,
+  x1: x,
+  y1: y,
+  x2: x,
+  y2: y,
+});
+
+// The lines of a note's text, word-wrapped to its width and cut off at its
+// height. Widths are estimated from the font size (as in getBounds) rather
+// than measured, so a note wraps the same way for everyone and in every
+// export, whatever fonts they have installed.
+export const getNoteLines = (note) => {
+  const { fontSize } = note.style;
+  const maxChars = Math.max(1, Math.floor((note.width - NOTE_PADDING * 2) / (fontSize * 0.6)));
+  const maxLines = Math.max(0, Math.floor((note.height - NOTE_PADDING * 2) / (fontSize * TEXT_LINE_HEIGHT)));
+  const lines = [];
+  note.text.split("\n").forEach((paragraph) => {
+    let line = "";
+    paragraph.split(" ").forEach((word) => {
+      const joined = line ? `${line} ${word}` : word;
+      if (joined.length <= maxChars) {
+        line = joined;
+        return;
+      }
+      if (line) lines.push(line);
+      // Words too long for a line of their own are broken up
+      let rest = word;
+      while (rest.length > maxChars) {
+        lines.push(rest.slice(0, maxChars));
+        rest = rest.slice(maxChars);
+      }
+      line = rest;
+    });
+    lines.push(line);
+  });
+  return lines.slice(0, maxLines);
+};
+
+export const DEFAULT_PAGE_ID = "page-1";
+
+export const createPage = ({ name, order }) => ({ id: createId(), type: "page", name, order });
+
+export const pageOf = (obj) => obj.page || DEFAULT_PAGE_ID;
+
+// The board's pages in order. A board without any page objects has a single
+// implicit page, which only becomes a real object once pages are edited.
+export const getPages = (objects) => {
+  const pages = objects.filter((obj) => obj.type === "page").sort((a, b) => a.order - b.order);
+  return pages.length > 0 ? pages : [{ id: DEFAULT_PAGE_ID, type: "page", name: "Page 1", order: 0 }];
+};
+
+// The objects drawn on a page, in order
+export const getPageObjects = (objects, pageId) =>
+  objects.filter((obj) => obj.type !== "page" && pageOf(obj) === pageId);
+
+// Operations:
+//   { type: "add", objects: [...] }              append objects to the board
+//   { type: "update", changes: [{ id, ...props }] } merge props into objects
+//   { type: "remove", ids: [...] }               delete objects by id
+//   { type: "clear" }                            remove everything
+// Returns a new list; the input list is never mutated.
+export const applyOperation = (objects, op) => {
+  switch (op?.type) {
+    case "add": {
+      const existing = new Set(objects.map((obj) => obj.id));
+      return [...objects, ...op.objects.filter((obj) => !existing.has(obj.id))];
+    }
+    case "update": {
+      const changes = new Map(op.changes.map((change) => [change.id, change]));
+      return objects.map((obj) => (changes.has(obj.id) ? { ...obj, ...changes.get(obj.id) } : obj));
+    }
+    case "remove": {
+      const ids = new Set(op.ids);
+      return objects.filter((obj) => !ids.has(obj.id));
+    }
+    case "clear":
+      return [];
+    default:
+      return objects;
+  }
+};
+
+// Build the operation that reverts `op`, given the objects as they were
+// before `op` was applied. Used for per-user undo/redo.
+export const invertOperation = (objects, op) => {
+  switch (op?.type) {
+    case "add":
+      return { type: "remove", ids: op.objects.map((obj) => obj.id) };
+    case "update": {
+      const byId = new Map(objects.map((obj) => [obj.id, obj]));
+      return {
+        type: "update",
+        changes: op.changes
+          .filter((change) => byId.has(change.id))
+          .map((change) => {
+            const previous = byId.get(change.id);
+            return Object.fromEntries(Object.keys(change).map((key) => [key, previous[key]]));
+          }),
+      };
+    }
+    case "remove": {
+      const ids = new Set(op.ids);
+      return { type: "add", objects: objects.filter((obj) => ids.has(obj.id)) };
+    }
+    case "clear":
+      return { type: "add", objects };
+    default:
+      return null;
+  }
+};
+
+// Axis-aligned bounds of an object in world coordinates:
+// { minX, minY, maxX, maxY }. Text is estimated from its font size.
+export const getBounds = (obj) => {
+  const pad = (obj.style?.size || 0) / 2;
+  if (obj.type === "stroke") {
+    // Full pressure draws wider than the stroke's size
+    const reach = hasPressure(obj) ? pressureWidth(obj.style.size, 1) / 2 : pad;
+    const xs = obj.points.map((point) => point[0]);
+    const ys = obj.points.map((point) => point[1]);
+    return {
+      minX: Math.min(...xs) - reach,
+      minY: Math.min(...ys) - reach,
+      maxX: Math.max(...xs) + reach,
+      maxY: Math.max(...ys) + reach,
+    };
+  }
+  if (obj.type === "shape" || obj.type === "connector") {
+    if (obj.shape === "circle") {
+      const radius = Math.hypot(obj.x2 - obj.x1, obj.y2 - obj.y1) + pad;
+      return { minX: obj.x1 - radius, minY: obj.y1 - radius, maxX: obj.x1 + radius, maxY: obj.y1 + radius };
+    }
+    // Leave room for the arrow head
+    const extra = obj.shape === "arrow" || obj.type === "connector" ? pad * 8 : pad;
+    return {
+      minX: Math.min(obj.x1, obj.x2) - extra,
+      minY: Math.min(obj.y1, obj.y2) - extra,
+      maxX: Math.max(obj.x1, obj.x2) + extra,
+      maxY: Math.max(obj.y1, obj.y2) + extra,
+    };
+  }
+  if (obj.type === "text") {
+    const { fontSize, align } = obj.style;
+    const lines = obj.text.split("\n");
+    const width = Math.max(...lines.map((line) => line.length)) * fontSize * 0.6;
+    const minX = align === "center" ? obj.x - width / 2 : align === "right" ? obj.x - width : obj.x;
+    return {
+      minX,
+      minY: obj.y - fontSize,
+      maxX: minX + width,
+      maxY: obj.y + (lines.length - 1) * fontSize * TEXT_LINE_HEIGHT + fontSize * 0.25,
+    };
+  }
+  if (obj.type === "image" || obj.type === "note") {
+    return { minX: obj.x, minY: obj.y, maxX: obj.x + obj.width, maxY: obj.y + obj.height };
+  }
+  return null;
+};
+
+// Bounds covering every object, or null for an empty board
+export const getBoardBounds = (objects) =>
+  objects.reduce((acc, obj) => {
+    const bounds = getBounds(obj);
+    if (!bounds) return acc;
+    if (!acc) return bounds;
+    return {
+      minX: Math.min(acc.minX, bounds.minX),
+      minY: Math.min(acc.minY, bounds.minY),
+      maxX: Math.max(acc.maxX, bounds.maxX),
+      maxY: Math.max(acc.maxY, bounds.maxY),
+    };
+  }, null);
+
+const distanceToSegment = (px, py, x1, y1, x2, y2) => {
+  const dx = x2 - x1;
+  const dy = y2 - y1;
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, ((px - x1) * dx + (py - y1) * dy) / lengthSq));
+  return Math.hypot(px - (x1 + t * dx), py - (y1 + t * dy));
+};
+
+// Whether the world point (x, y) touches the object, within `tolerance`
+export const hitTest = (obj, x, y, tolerance = 0) => {
+  const reach = (obj.style?.size || 0) / 2 + tolerance;
+  if (obj.type === "stroke") {
+    if (obj.points.length === 1) {
+      return Math.hypot(x - obj.points[0][0], y - obj.points[0][1]) <= reach;
+    }
+    return obj.points.some((point, i) => {
+      if (i === 0) return false;
+      const [x1, y1] = obj.points[i - 1];
+      return distanceToSegment(x, y, x1, y1, point[0], point[1]) <= reach;
+    });
+  }
+  if (obj.type === "connector") {
+    return distanceToSegment(x, y, obj.x1, obj.y1, obj.x2, obj.y2) <= reach;
+  }
+  if (obj.type === "shape") {
+    if (obj.shape === "line" || obj.shape === "arrow") {
+      return distanceToSegment(x, y, obj.x1, obj.y1, obj.x2, obj.y2) <= reach;
+    }
+    if (obj.shape === "circle") {
+      return Math.hypot(x - obj.x1, y - obj.y1) <= Math.hypot(obj.x2 - obj.x1, obj.y2 - obj.y1) + reach;
+    }
+  }
+  // Rectangles, text, notes and images can be grabbed anywhere inside
+  const bounds = getBounds(obj);
+  return Boolean(bounds) &&
+    x >= bounds.minX - tolerance && x <= bounds.maxX + tolerance &&
+    y >= bounds.minY - tolerance && y <= bounds.maxY + tolerance;
+};
+
+// The topmost object at a point, or null
+export const findObjectAt = (objects, x, y, tolerance = 0) => {
+  for (let i = objects.length - 1; i >= 0; i -= 1) {
+    if (hitTest(objects[i], x, y, tolerance)) return objects[i];
+  }
+  return null;
+};
+
+export const boundsIntersect = (a, b) =>
+  a.minX <= b.maxX && a.maxX >= b.minX && a.minY <= b.maxY && a.maxY >= b.minY;
+
+// Geometry props of `obj` after moving it by (dx, dy)
+export const translateObject = (obj, dx, dy) => {
+  if (obj.type === "stroke") {
+    return { points: obj.points.map(([x, y, ...rest]) => [x + dx, y + dy, ...rest]) };
+  }
+  if (obj.type === "shape" || obj.type === "connector") {
+    return { x1: obj.x1 + dx, y1: obj.y1 + dy, x2: obj.x2 + dx, y2: obj.y2 + dy };
+  }
+  return { x: obj.x + dx, y: obj.y + dy };
+};
+
+// Space left between pages laid out one under another
+const PAGE_GAP = 80;
+
+// Every page's objects in one list, each page moved down to sit under the
+// one before it, for a single picture of the whole board. Empty pages take
+// no room.
+export const stackPages = (objects) => {
+  let top = null;
+  return getPages(objects).flatMap((page) => {
+    const pageObjects = getPageObjects(objects, page.id);
+    const bounds = getBoardBounds(pageObjects);
+    if (!bounds) return [];
+    const dy = top === null ? 0 : top - bounds.minY;
+    top = bounds.maxY + dy + PAGE_GAP;
+    return dy === 0 ? pageObjects : pageObjects.map((obj) => ({ ...obj, ...translateObject(obj, 0, dy) }));
+  });
+};
+
+// Geometry (and font size, for text) of `obj` after stretching the
+// rectangle `from` onto `to`
+export const scaleObject = (obj, from, to) => {
+  const sx = (to.maxX - to.minX) / Math.max(from.maxX - from.minX, 1);
+  const sy = (to.maxY - to.minY) / Math.max(from.maxY - from.minY, 1);
+  const mapX = (x) => to.minX + (x - from.minX) * sx;
+  const mapY = (y) => to.minY + (y - from.minY) * sy;
+  if (obj.type === "stroke") {
+    return { points: obj.points.map(([x, y, ...rest]) => [mapX(x), mapY(y), ...rest]) };
+  }
+  if (obj.type === "shape" || obj.type === "connector") {
+    return { x1: mapX(obj.x1), y1: mapY(obj.y1), x2: mapX(obj.x2), y2: mapY(obj.y2) };
+  }
+  if (obj.type === "image" || obj.type === "note") {
+    return { x: mapX(obj.x), y: mapY(obj.y), width: obj.width * sx, height: obj.height * sy };
+  }
+  return {
+    x: mapX(obj.x),
+    y: mapY(obj.y),
+    style: { ...obj.style, fontSize: Math.max(4, obj.style.fontSize * sy) },
+  };
+};
+
+// Where a line from the middle of `bounds` towards (x, y) leaves them
+const edgePoint = (bounds, { x, y }) => {
+  const cx = (bounds.minX + bounds.maxX) / 2;
+  const cy = (bounds.minY + bounds.maxY) / 2;
+  const dx = x - cx;
+  const dy = y - cy;
+  const tx = dx ? (bounds.maxX - cx) / Math.abs(dx) : Infinity;
+  const ty = dy ? (bounds.maxY - cy) / Math.abs(dy) : Infinity;
+  // A point inside the bounds is as far as the line goes
+  const t = Math.min(tx, ty, 1);
+  return { x: cx + dx * t, y: cy + dy * t };
+};
+
+const center = (bounds) => ({ x: (bounds.minX + bounds.maxX) / 2, y: (bounds.minY + bounds.maxY) / 2 });
+
+// Geometry of a connector given the objects by id: each attached end sits on
+// the edge of its object, aimed at the other end. Ends whose object is gone
+// stay where they were.
+export const routeConnector = (connector, byId) => {
+  const fromBounds = byId.has(connector.from) ? getBounds(byId.get(connector.from)) : null;
+  const toBounds = byId.has(connector.to) ? getBounds(byId.get(connector.to)) : null;
+  const start = fromBounds ? center(fromBounds) : { x: connector.x1, y: connector.y1 };
+  const end = toBounds ? center(toBounds) : { x: connector.x2, y: connector.y2 };
+  const a = fromBounds ? edgePoint(fromBounds, end) : start;
+  const b = toBounds ? edgePoint(toBounds, start) : end;
+  return { x1: a.x, y1: a.y, x2: b.x, y2: b.y };
+};
+
+// Update changes re-routing every connector that is, or is attached to, one
+// of the objects `ids` in `objects`
+export const routeConnectors = (objects, ids) => {
+  const changed = new Set(ids);
+  const byId = new Map(objects.map((obj) => [obj.id, obj]));
+  return objects
+    .filter((obj) => obj.type === "connector" && (changed.has(obj.id) || changed.has(obj.from) || changed.has(obj.to)))
+    .map((obj) => ({ id: obj.id, ...routeConnector(obj, byId) }));
+};
+
+// The board with every attached connector routed to where its objects are
+// now. Objects that don't change are kept as they were, as is the list if
+// nothing does.
+export const withRoutedConnectors = (objects) => {
+  let byId = null;
+  let changed = false;
+  const routed = objects.map((obj) => {
+    if (obj.type !== "connector" || (!obj.from && !obj.to)) return obj;
+    byId ||= new Map(objects.map((other) => [other.id, other]));
+    const route = routeConnector(obj, byId);
+    if (route.x1 === obj.x1 && route.y1 === obj.y1 && route.x2 === obj.x2 && route.y2 === obj.y2) return obj;
+    changed = true;
+    return { ...obj, ...route };
+  });
+  return changed ? routed : objects;
+};
+
+// Copies of `objects` with fresh ids. Copied connectors stay attached to the
+// copies of their ends, and come loose from anything not copied along.
+// Objects whose page was copied too move onto the copy.
+const withFreshIds = (objects) => {
+  const ids = new Map(objects.map((obj) => [obj.id, createId()]));
+  return objects.map((obj) => {
+    const copy = { ...obj, id: ids.get(obj.id) };
+    if (ids.has(obj.page)) copy.page = ids.get(obj.page);
+    if (obj.type === "connector") {
+      copy.from = ids.get(obj.from) ?? null;
+      copy.to = ids.get(obj.to) ?? null;
+    }
+    return copy;
+  });
+};
+
+// Copies of `objects` with fresh ids, shifted so they don't sit exactly on
+// top of the originals
+export const duplicateObjects = (objects, offset = 20) =>
+  withFreshIds(objects).map((obj) => ({ ...obj, ...translateObject(obj, offset, offset) }));
+
+// Board files are how boards are backed up and moved between rooms:
+//
+//   {
+//     "format": "realtime-whiteboard",
+//     "version": 1,
+//     "exportedAt": "2026-01-01T12:00:00.000Z",
+//     "room": "room-abc123",
+//     "objects": [ ...board objects as described at the top of this file ]
+//   }
+//
+// Files are pretty-printed with one key per line so they diff well in git.
+export const BOARD_FILE_FORMAT = "realtime-whiteboard";
+export const BOARD_FILE_VERSION = 1;
+
+const OBJECT_TYPES = ["stroke", "shape", "text", "image", "note", "connector", "page"];
+
+export const toBoardFile = (objects, room) =>
+  JSON.stringify(
+    {
+      format: BOARD_FILE_FORMAT,
+      version: BOARD_FILE_VERSION,
+      exportedAt: new Date().toISOString(),
+      room,
+      objects,
+    },
+    null,
+    2
+  );
+
+// Parse a board file and return its objects with fresh ids, so the same file
+// can be imported into a room more than once. Throws on anything that isn't
+// a board file this version understands.
+export const fromBoardFile = (text) => {
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch {
+    throw new Error("The file is not valid JSON");
+  }
+  if (file?.format !== BOARD_FILE_FORMAT || !Array.isArray(file.objects)) {
+    throw new Error("The file is not a whiteboard board file");
+  }
+  if (file.version > BOARD_FILE_VERSION) {
+    throw new Error(`Board file version ${file.version} is newer than this app supports`);
+  }
+  return withFreshIds(
+    file.objects.filter((obj) => obj && OBJECT_TYPES.includes(obj.type) && (obj.type === "page" || getBounds(obj)))
+  );
+};
@@ -0,0 +1,159 @@
+// Boards as standalone SVG documents. Used by the client's SVG export and by
+// the server's export route, so both produce the same picture.
+
+import {
+  HIGHLIGHTER_OPACITY, NOTE_PADDING, TEXT_FONTS, TEXT_LINE_HEIGHT, getBoardBounds, getNoteLines, getStrokeDash,
+  getStrokeSegments, hasPressure, pressureWidth,
+} from "./board.js";
+
+// Space left around the content
+const EXPORT_PADDING = 20;
+
+// The area an export covers: the objects' bounds with room around them
+export const getExportBounds = (objects, padding = EXPORT_PADDING) => {
+  const bounds = getBoardBounds(objects) || { minX: 0, minY: 0, maxX: 0, maxY: 0 };
+  return {
+    minX: bounds.minX - padding,
+    minY: bounds.minY - padding,
+    maxX: bounds.maxX + padding,
+    maxY: bounds.maxY + padding,
+  };
+};
+
+const escapeXml = (value) =>
+  String(value).replace(/[&<>"']/g, (ch) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&apos;" })[ch]);
+
+const round = (n) => Math.round(n * 100) / 100;
+
+const TEXT_ANCHORS = { left: "start", center: "middle", right: "end" };
+
+// The two far corners of an arrow's head
+export const arrowHead = (obj) => {
+  const headLength = obj.style.size * 4;
+  const angle = Math.atan2(obj.y2 - obj.y1, obj.x2 - obj.x1);
+  return [angle - Math.PI / 6, angle + Math.PI / 6].map((a) => [
+    obj.x2 - headLength * Math.cos(a),
+    obj.y2 - headLength * Math.sin(a),
+  ]);
+};
+
+// Lines of text from the baseline (x, y) down
+const textToSvg = (x, y, lines, { color, fontSize, fontFamily, bold, italic, align }) => {
+  const spans = lines
+    .map((line, i) => `<tspan x="${round(x)}" dy="${i === 0 ? 0 : round(fontSize * TEXT_LINE_HEIGHT)}">${escapeXml(line)}</tspan>`)
+    .join("");
+  const weight = bold ? ` font-weight="bold"` : "";
+  const slant = italic ? ` font-style="italic"` : "";
+  return `<text x="${round(x)}" y="${round(y)}" font-family="${escapeXml(TEXT_FONTS[fontFamily] || TEXT_FONTS.sans)}" font-size="${fontSize}"${weight}${slant} text-anchor="${TEXT_ANCHORS[align] || "start"}" fill="${escapeXml(color)}" xml:space="preserve">${spans}</text>`;
+};
+
+// Path data for smoothed stroke pieces (see getStrokeSegments)
+const segmentsToPath = (segments) =>
+  `M${round(segments[0].from[0])} ${round(segments[0].from[1])} ` +
+  segments.map(({ control, to }) => `Q${round(control[0])} ${round(control[1])} ${round(to[0])} ${round(to[1])}`).join(" ");
+
+// Drawn the same way as on the canvas: pressure strokes piece by piece,
+// everything else as one path. A single point still leaves a dot thanks to
+// the round cap.
+const strokeToSvg = (obj) => {
+  const segments = getStrokeSegments(obj.points);
+  if (segments.length === 0) return "";
+  const { color, size, brush } = obj.style;
+  const attrs = `stroke="${escapeXml(color)}" fill="none" stroke-linecap="round" stroke-linejoin="round"`;
+  if (brush === "highlighter") {
+    return `<path d="${segmentsToPath(segments)}" ${attrs} stroke-width="${size}" stroke-opacity="${HIGHLIGHTER_OPACITY}"/>`;
+  }
+  if (brush === "dashed") {
+    return `<path d="${segmentsToPath(segments)}" ${attrs} stroke-width="${size}" stroke-dasharray="${getStrokeDash(size).map(round).join(" ")}"/>`;
+  }
+  if (hasPressure(obj)) {
+    const pieces = segments
+      .map((segment) => `<path d="${segmentsToPath([segment])}" stroke-width="${round(pressureWidth(size, segment.pressure))}"/>`)
+      .join("");
+    return `<g ${attrs}>${pieces}</g>`;
+  }
+  return `<path d="${segmentsToPath(segments)}" ${attrs} stroke-width="${size}"/>`;
+};
+
+const objectToSvg = (obj) => {
+  const stroke = `stroke="${escapeXml(obj.style?.color || "#000")}" stroke-width="${obj.style?.size || 3}" fill="none" stroke-linecap="round" stroke-linejoin="round"`;
+  if (obj.type === "stroke") {
+    return strokeToSvg(obj);
+  }
+  if (obj.type === "shape") {
+    const { x1, y1, x2, y2 } = obj;
+    if (obj.shape === "line") {
+      return `<line x1="${round(x1)}" y1="${round(y1)}" x2="${round(x2)}" y2="${round(y2)}" ${stroke}/>`;
+    }
+    if (obj.shape === "rectangle") {
+      return `<rect x="${round(Math.min(x1, x2))}" y="${round(Math.min(y1, y2))}" width="${round(Math.abs(x2 - x1))}" height="${round(Math.abs(y2 - y1))}" ${stroke}/>`;
+    }
+    if (obj.shape === "circle") {
+      return `<circle cx="${round(x1)}" cy="${round(y1)}" r="${round(Math.hypot(x2 - x1, y2 - y1))}" ${stroke}/>`;
+    }
+    if (obj.shape === "arrow") {
+      const head = arrowHead(obj)
+        .map(([x, y]) => `M${round(x2)} ${round(y2)} L${round(x)} ${round(y)}`)
+        .join(" ");
+      return `<path d="M${round(x1)} ${round(y1)} L${round(x2)} ${round(y2)} ${head}" ${stroke}/>`;
+    }
+  }
+  if (obj.type === "connector") {
+    return objectToSvg({ ...obj, type: "shape", shape: "arrow" });
+  }
+  if (obj.type === "text") {
+    return textToSvg(obj.x, obj.y, obj.text.split("\n"), obj.style);
+  }
+  if (obj.type === "note") {
+    const { x, y, width, height, style } = obj;
+    const textX = style.align === "center" ? x + width / 2 : style.align === "right" ? x + width - NOTE_PADDING : x + NOTE_PADDING;
+    const text = textToSvg(textX, y + NOTE_PADDING + style.fontSize, getNoteLines(obj), style);
+    return `<g><rect x="${round(x)}" y="${round(y)}" width="${round(width)}" height="${round(height)}" rx="6" fill="${escapeXml(style.fill)}"/>${text}</g>`;
+  }
+  if (obj.type === "image") {
+    return `<image href="${escapeXml(obj.src)}" x="${round(obj.x)}" y="${round(obj.y)}" width="${round(obj.width)}" height="${round(obj.height)}" preserveAspectRatio="none"/>`;
+  }
+  return "";
+};
+
+// Eraser strokes hide everything drawn before them: each one wraps the
+// content so far in a mask with the stroke cut out of it
+const objectsToSvg = (objects, bounds) => {
+  const masks = [];
+  let content = "";
+  objects.forEach((obj) => {
+    if (obj.type !== "stroke" || obj.tool !== "eraser") {
+      content += `${objectToSvg(obj)}\n`;
+      return;
+    }
+    const id = `erase-${masks.length}`;
+    const cutout = objectToSvg({ ...obj, style: { ...obj.style, color: "black" } });
+    masks.push(
+      `<mask id="${id}" maskUnits="userSpaceOnUse" x="${round(bounds.minX)}" y="${round(bounds.minY)}" width="${round(bounds.maxX - bounds.minX)}" height="${round(bounds.maxY - bounds.minY)}">` +
+        `<rect x="${round(bounds.minX)}" y="${round(bounds.minY)}" width="${round(bounds.maxX - bounds.minX)}" height="${round(bounds.maxY - bounds.minY)}" fill="white"/>${cutout}</mask>`
+    );
+    content = `<g mask="url(#${id})">\n${content}</g>\n`;
+  });
+  return { defs: masks.length > 0 ? `<defs>${masks.join("")}</defs>` : "", content: content.trimEnd() };
+};
+
+// A standalone SVG document. `background` is a CSS color, or null for a
+// transparent background.
+export const boardToSvg = (objects, { background = null } = {}) => {
+  const bounds = getExportBounds(objects);
+  const width = round(bounds.maxX - bounds.minX);
+  const height = round(bounds.maxY - bounds.minY);
+  const backgroundRect = background
+    ? `<rect x="${round(bounds.minX)}" y="${round(bounds.minY)}" width="${width}" height="${height}" fill="${escapeXml(background)}"/>`
+    : "";
+  const { defs, content } = objectsToSvg(objects, bounds);
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="${round(bounds.minX)} ${round(bounds.minY)} ${width} ${height}">`,
+    defs,
+    backgroundRect,
+    content,
+    "</svg>",
+  ]
+    .filter(Boolean)
+    .join("\n");
+};
@@ -0,0 +1,152 @@
+// The shared board document. The board lives in a Yjs document (a CRDT), so
+// everyone ends up with the same board whatever order changes arrive in,
+// however many people make them at once and however long someone was
+// offline. The document holds:
+//
+//   objects: Y.Map<id, Y.Map<field, value>>  one map per board object
+//   order:   Y.Array<id>                     stacking order, bottom first
+//
+// Each field of an object is set on its own, so two people changing
+// different fields of the same object (one moves a note while the other
+// recolors it) both keep their change; for the same field the last write
+// wins. Text is a Y.Text and merges character by character. An object
+// someone removed stays removed, whatever others did to it meanwhile.
+//
+// Board operations (see applyOperation in board.js) are still how the app
+// makes and undoes changes; applyToDoc records one in the document.
+//
+// Used by both the client and the server. Each passes in its own copy of
+// Yjs, since a process must only ever load one.
+
+import { withRoutedConnectors } from "./board.js";
+
+const isHighSurrogate = (code) => code >= 0xd800 && code <= 0xdbff;
+const isLowSurrogate = (code) => code >= 0xdc00 && code <= 0xdfff;
+
+// Edit a Y.Text into `next` by replacing only the part that differs, so
+// concurrent edits elsewhere in the text survive
+const updateText = (ytext, next) => {
+  const current = ytext.toString();
+  if (current === next) return;
+  let start = 0;
+  while (start < current.length && start < next.length && current[start] === next[start]) start++;
+  // Never split an emoji or other surrogate pair
+  if (start > 0 && isHighSurrogate(current.charCodeAt(start - 1))) start--;
+  let end = 0;
+  while (
+    end < current.length - start &&
+    end < next.length - start &&
+    current[current.length - 1 - end] === next[next.length - 1 - end]
+  ) {
+    end++;
+  }
+  if (end > 0 && isLowSurrogate(current.charCodeAt(current.length - end))) end--;
+  const removed = current.length - start - end;
+  if (removed > 0) ytext.delete(start, removed);
+  const inserted = next.slice(start, next.length - end);
+  if (inserted) ytext.insert(start, inserted);
+};
+
+export const createBoardSync = (Y) => {
+  const createBoardDoc = () => new Y.Doc();
+
+  const getParts = (doc) => ({ objects: doc.getMap("objects"), order: doc.getArray("order") });
+
+  const setFields = (map, fields) => {
+    Object.entries(fields).forEach(([key, value]) => {
+      if (key === "id") return;
+      const existing = map.get(key);
+      if (key === "text" && typeof value === "string") {
+        if (existing instanceof Y.Text) {
+          updateText(existing, value);
+        } else {
+          map.set(key, new Y.Text(value));
+        }
+      } else if (existing !== value) {
+        map.set(key, value);
+      }
+    });
+  };
+
+  // Record a board operation in the document, as one transaction. Works the
+  // same as applyOperation on the objects the document currently holds.
+  const applyToDoc = (doc, op, origin = null) => {
+    const { objects, order } = getParts(doc);
+    doc.transact(() => {
+      switch (op?.type) {
+        case "add":
+          op.objects.forEach((obj) => {
+            if (objects.has(obj.id)) return;
+            setFields(objects.set(obj.id, new Y.Map()), obj);
+            order.push([obj.id]);
+          });
+          break;
+        case "update":
+          op.changes.forEach((change) => {
+            const map = objects.get(change.id);
+            if (map instanceof Y.Map) setFields(map, change);
+          });
+          break;
+        case "remove": {
+          const ids = new Set(op.ids);
+          ids.forEach((id) => objects.delete(id));
+          const list = order.toArray();
+          for (let i = list.length - 1; i >= 0; i--) {
+            if (ids.has(list[i])) order.delete(i, 1);
+          }
+          break;
+        }
+        case "clear":
+          objects.clear();
+          order.delete(0, order.length);
+          break;
+        default:
+          break;
+      }
+    }, origin);
+  };
+
+  const readObject = (id, map, previous) => {
+    const obj = { id };
+    map.forEach((value, key) => {
+      obj[key] = value instanceof Y.Text ? value.toString() : value;
+    });
+    // Objects that didn't change are kept as they were
+    if (previous) {
+      const keys = Object.keys(obj);
+      if (keys.length === Object.keys(previous).length && keys.every((key) => previous[key] === obj[key])) {
+        return previous;
+      }
+    }
+    return obj;
+  };
+
+  // The board as a list of objects (see board.js), with connectors routed to
+  // the objects they're attached to. Pass the previous list to reuse the
+  // objects that haven't changed since.
+  const readObjects = (doc, previous = []) => {
+    const { objects, order } = getParts(doc);
+    const known = new Map(previous.map((obj) => [obj.id, obj]));
+    const seen = new Set();
+    const list = [];
+    order.forEach((id) => {
+      // Two people restoring the same object can both put it back in order
+      if (seen.has(id)) return;
+      const map = objects.get(id);
+      if (!(map instanceof Y.Map)) return;
+      seen.add(id);
+      list.push(readObject(id, map, known.get(id)));
+    });
+    return withRoutedConnectors(list);
+  };
+
+  // The Y.Text holding an object's text, for following edits to it as they
+  // arrive, or null
+  const getText = (doc, id) => {
+    const map = getParts(doc).objects.get(id);
+    const text = map instanceof Y.Map ? map.get("text") : null;
+    return text instanceof Y.Text ? text : null;
+  };
+
+  return { applyToDoc, createBoardDoc, getText, readObjects };
+};